@@ -1,11 +1,38 @@
 // app.js
 
-const puppeteer = require("puppeteer");
 const fs = require("fs");
+const crypto = require("crypto");
 const path = require("path");
-const moment = require("moment-timezone");
 const express = require("express");
-const archiver = require("archiver");
+const { compileSectionFilter, listSectionPresets, normalizeText, DEFAULT_PRESET } = require("./lib/sectionFilters");
+const { readManifestEntries, writeTargetReport } = require("./lib/manifest");
+const { createJobStore } = require("./lib/jobStore");
+const { createJobEvents } = require("./lib/jobEvents");
+const { createBrowserPool } = require("./lib/browserPool");
+const { parseCron, cronIntervalMinutes, nextCronRun, resolveRelativeRange } = require("./lib/schedules");
+const { normalizeNotifyTargets, createNotifier } = require("./lib/notifications");
+const { createFirLibrary } = require("./lib/firLibrary");
+const { createFirSearch } = require("./lib/firSearch");
+const { createJobQueue } = require("./lib/jobQueue");
+const { loadPortalAdapters, resolveDistricts, LEGACY_PORTAL } = require("./lib/portalAdapters");
+const { createAuth, parseCookies, SESSION_COOKIE } = require("./lib/auth");
+const { createJobStats } = require("./lib/jobStats");
+const { buildJobReport, renderReportHtml } = require("./lib/jobReport");
+const { createMetrics } = require("./lib/metrics");
+const { createJobLogs, formatLogLine } = require("./lib/jobLog");
+const { createResultStorage } = require("./lib/resultStorage");
+const { parseRetentionHours, nextTimerDelayMs, extendRetentionMinutes } = require("./lib/retention");
+const {
+  createScraper,
+  launchBrowser,
+  createTargetResult,
+  getDistrictFolderName,
+  getJobDistrictNames,
+  planDateWindows,
+  reportMeta,
+  targetReportEntries
+} = require("./lib/scraper");
+const { TIMEZONE, validateDateRange } = require("./lib/dateWindows");
 
 const app = express();
 const port = process.env.PORT || 8080;
@@ -14,784 +41,2346 @@ const host = '0.0.0.0';
 // Add JSON parsing middleware
 app.use(express.json());
 
-// In-memory job storage (use Redis in production)
-const jobs = {};
-
-const allowedDistricts = {
-  AHILYANAGAR: "19372", AKOLA: "19373", "AMRAVATI CITY": "19842", "AMRAVATI RURAL": "19374", BEED: "19377", BHANDARA: "19376",
-  "BRIHAN MUMBAI CITY": "19378", BULDHANA: "19379", CHANDRAPUR: "19381", "CHHATRAPATI SAMBHAJINAGAR (RURAL)": "19375",
-  "CHHATRAPATI SAMBHAJINAGAR CITY": "19409", DHARASHIV: "19391", DHULE: "19382", GADCHIROLI: "19403", GONDIA: "19845", HINGOLI: "19846",
-  JALGAON: "19384", JALNA: "19380", KOLHAPUR: "19386", LATUR: "19405", "Mira-Bhayandar, Vasai-Virar Police Commissioner": "19411",
-  "NAGPUR CITY": "19387", "NAGPUR RURAL": "19388", NANDED: "19389", NANDURBAR: "19844", "NASHIK CITY": "19408", "NASHIK RURAL": "19390",
-  "NAVI MUMBAI": "19841", PALGHAR: "19371", PARBHANI: "19392", "PIMPRI-CHINCHWAD": "19847", "PUNE CITY": "19393", "PUNE RURAL": "19394",
-  RAIGAD: "19385", "RAILWAY CHHATRAPATI SAMBHAJINAGAR": "19848", "RAILWAY MUMBAI": "19404", "RAILWAY NAGPUR": "19402", "RAILWAY PUNE": "19383",
-  RATNAGIRI: "19395", SANGLI: "19396", SATARA: "19397", SINDHUDURG: "19406", "SOLAPUR CITY": "19410", "SOLAPUR RURAL": "19398",
-  "THANE CITY": "19399", "THANE RURAL": "19407", WARDHA: "19400", WASHIM: "19843", YAVATMAL: "19401"
+// Each job logs to JOB_LOG_DIR/<jobId>/job.log; LOG_LEVEL and LOG_FORMAT
+// (text or json) control what is printed to the console, for jobs and for
+// the server's own lines. LOG_STREAM=stderr prints everything to stderr.
+const jobLogs = createJobLogs({
+  dir: path.resolve(process.env.JOB_LOG_DIR || "./logs"),
+  consoleLevel: process.env.LOG_LEVEL || "info",
+  format: process.env.LOG_FORMAT || "text",
+  stream: process.env.LOG_STREAM === "stderr" ? process.stderr : null
+});
+const serverLog = jobLogs.server;
+
+// Job storage (JSON file under ./data by default, see lib/jobStore.js)
+const jobStore = createJobStore({ logger: serverLog });
+
+// Saved recurring extractions, persisted next to the jobs (see /schedules)
+const scheduleStore = createJobStore({
+  filePath: process.env.SCHEDULE_STORE_PATH || path.resolve("./data/schedules.json"),
+  dateFields: ["createdAt", "updatedAt", "lastRunAt", "nextRunAt"],
+  logger: serverLog
+});
+
+// Accounts with their API keys, and web UI sessions (see lib/auth.js)
+const userStore = createJobStore({
+  filePath: process.env.USER_STORE_PATH || path.resolve("./data/users.json"),
+  dateFields: ["createdAt", "lastLoginAt"],
+  logger: serverLog
+});
+const sessionStore = createJobStore({
+  filePath: process.env.SESSION_STORE_PATH || path.resolve("./data/sessions.json"),
+  dateFields: ["createdAt", "expiresAt"],
+  logger: serverLog
+});
+
+// Quotas of users without their own; 0 means unlimited
+const DEFAULT_QUOTA = {
+  maxActiveJobs: process.env.MAX_ACTIVE_JOBS_PER_USER !== undefined ? parseInt(process.env.MAX_ACTIVE_JOBS_PER_USER, 10) : 2,
+  maxJobsPerDay: process.env.MAX_JOBS_PER_DAY !== undefined ? parseInt(process.env.MAX_JOBS_PER_DAY, 10) : 20
 };
 
-// Helper functions for job-specific directories
-function getJobDownloadPath(jobId) {
-  return path.resolve(`./downloads/${jobId}`);
+// The largest job one request may queue: its whole date range, and the portal
+// searches it takes (date windows × districts)
+const MAX_JOB_RANGE_DAYS = parseInt(process.env.MAX_JOB_RANGE_DAYS, 10) || 2 * 366;
+const MAX_JOB_WINDOW_SCANS = parseInt(process.env.MAX_JOB_WINDOW_SCANS, 10) || 500;
+
+function planJobWindows(fromDate, toDate, portal) {
+  return planDateWindows(fromDate, toDate, portal, { maxTotalDays: MAX_JOB_RANGE_DAYS });
 }
 
-function ensureJobDownloadDir(jobId) {
-  const jobDownloadPath = getJobDownloadPath(jobId);
-  console.log(`📁 Ensuring download directory for job ${jobId}...`);
-  
-  if (fs.existsSync(jobDownloadPath)) {
-    console.log(`🗑️ Removing existing job directory: ${jobDownloadPath}`);
-    fs.rmSync(jobDownloadPath, { recursive: true, force: true });
+// An error message for jobs above MAX_JOB_WINDOW_SCANS, or null
+function checkWindowScans(dateWindows, districts) {
+  const scans = dateWindows.length * districts.length;
+  if (scans > MAX_JOB_WINDOW_SCANS) {
+    return `This job needs ${scans} portal searches (${dateWindows.length} date windows × ${districts.length} districts); at most ${MAX_JOB_WINDOW_SCANS} are allowed. Pick fewer districts or a shorter date range.`;
   }
-  
-  fs.mkdirSync(jobDownloadPath, { recursive: true });
-  console.log(`✅ Job download directory ready: ${jobDownloadPath}`);
-  return jobDownloadPath;
+  return null;
+}
+
+const auth = createAuth({
+  userStore,
+  sessionStore,
+  sessionTtlHours: parseFloat(process.env.SESSION_TTL_HOURS) || 12,
+  defaultQuota: DEFAULT_QUOTA
+});
+
+// Jobs per day for the admin dashboard; outlives the job records
+const jobStatsStore = createJobStore({
+  filePath: process.env.STATS_STORE_PATH || path.resolve("./data/job-stats.json"),
+  dateFields: [],
+  logger: serverLog
+});
+const jobStats = createJobStats(jobStatsStore);
+
+// PDFs from every job, reused by later jobs (see lib/firLibrary.js)
+const firLibrary = createFirLibrary(path.resolve(process.env.FIR_LIBRARY_DIR || "./library"), { logger: serverLog });
+// Full-text search over the library's PDFs (GET /search)
+const firSearch = createFirSearch(firLibrary, { logger: serverLog });
+
+// Finished jobs' ZIPs, kept in RESULT_ARCHIVE_DIR or an S3 bucket until the
+// job's retention runs out (see lib/resultStorage.js)
+const resultStorage = createResultStorage();
+
+// Webhook/email notifications when jobs finish (see lib/notifications.js).
+// Webhooks go to public addresses only, or only to WEBHOOK_ALLOWED_HOSTS
+// (comma-separated host names) when it is set.
+const WEBHOOK_ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map((host) => host.trim()).filter(Boolean);
+const notifier = createNotifier({
+  smtp: process.env.SMTP_HOST
+    ? {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      ignoreTLS: process.env.SMTP_IGNORE_TLS === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+      from: process.env.SMTP_FROM || 'fir-downloader@localhost'
+    }
+    : null,
+  maxAttempts: parseInt(process.env.NOTIFY_MAX_ATTEMPTS, 10) || 5,
+  retryDelayMs: parseInt(process.env.NOTIFY_RETRY_DELAY_MS, 10) || 5000,
+  allowedHosts: WEBHOOK_ALLOWED_HOSTS
+});
+
+// Live job updates for the Server-Sent Events stream
+const jobEvents = createJobEvents();
+
+// Server-wide limit on running jobs; each running job holds one pooled browser
+const MAX_CONCURRENT_BROWSERS = Math.max(1, parseInt(process.env.MAX_CONCURRENT_BROWSERS, 10) || 2);
+
+const browserPool = createBrowserPool({
+  size: MAX_CONCURRENT_BROWSERS,
+  launch: launchBrowser,
+  logger: serverLog
+});
+
+// Jobs wait here until a browser is free (see startQueuedJob)
+const jobQueue = createJobQueue({
+  concurrency: MAX_CONCURRENT_BROWSERS,
+  run: startQueuedJob,
+  onChange: refreshQueuedJobs,
+  logger: serverLog
+});
+
+// Counters and histograms for GET /metrics. Jobs are counted once per district
+// they cover; a resumed job counts as started again.
+const metrics = createMetrics();
+const jobsStartedTotal = metrics.counter("fir_jobs_started_total", "Jobs that got a browser and started, per district", ["district"]);
+const jobsFinishedTotal = metrics.counter("fir_jobs_finished_total", "Jobs that completed, failed or were cancelled, per district", ["district", "status"]);
+metrics.gauge("fir_browsers", "Pooled browsers by state", ["state"], () => {
+  const { inUse, idle } = browserPool.stats();
+  return [{ labels: { state: "in_use" }, value: inUse }, { labels: { state: "idle" }, value: idle }];
+});
+metrics.gauge("fir_jobs_running", "Jobs holding a browser", [], () => [{ value: jobQueue.stats().running }]);
+metrics.gauge("fir_queue_length", "Jobs waiting for a browser", [], () => [{ value: jobQueue.stats().waiting }]);
+metrics.gauge("fir_disk_usage_bytes", "Bytes used by job download folders and ZIP files", ["kind"], () => {
+  const { downloads, zips } = getDiskUsage();
+  return [{ labels: { kind: "downloads" }, value: downloads }, { labels: { kind: "zips" }, value: zips }];
+});
+
+// Portals are driven by the adapters in portals/*.json; PORTAL_CONFIG_DIR may
+// add more or override them. Every job names the portal it searches.
+const portalAdapters = loadPortalAdapters([path.join(__dirname, "portals"), process.env.PORTAL_CONFIG_DIR].filter(Boolean));
+const DEFAULT_PORTAL = process.env.DEFAULT_PORTAL || "maharashtra";
+
+function getPortalAdapter(name = DEFAULT_PORTAL) {
+  const adapter = portalAdapters[name];
+  if (!adapter) {
+    throw new Error(`Unknown portal "${name}". Available: ${Object.keys(portalAdapters).join(', ')}.`);
+  }
+  return adapter;
 }
+getPortalAdapter();
 
-function safe(name) {
-  return String(name)
-    .replace(/[\\/:*?"<>|]/g, "_")
-    .replace(/\s+/g, " ")
-    .trim();
+// Helper functions for job-specific directories
+function getJobDownloadPath(jobId) {
+  return path.resolve(`./downloads/${jobId}`);
 }
 
 function updateJobProgress(jobId, progress, details = {}) {
-  if (jobs[jobId]) {
-    jobs[jobId].progress = progress;
-    jobs[jobId].lastUpdated = new Date();
+  if (jobStore.get(jobId)) {
+    const patch = { progress, lastUpdated: new Date() };
     if (details.totalDownloaded !== undefined) {
-      jobs[jobId].totalDownloaded = details.totalDownloaded;
+      patch.totalDownloaded = details.totalDownloaded;
     }
     if (details.currentPage !== undefined) {
-      jobs[jobId].currentPage = details.currentPage;
+      patch.currentPage = details.currentPage;
     }
     if (details.totalPages !== undefined) {
-      jobs[jobId].totalPages = details.totalPages;
+      patch.totalPages = details.totalPages;
     }
     if (details.estimatedTimeRemaining !== undefined) {
-      jobs[jobId].estimatedTimeRemaining = details.estimatedTimeRemaining;
+      patch.estimatedTimeRemaining = details.estimatedTimeRemaining;
     }
     if (details.processingSpeed !== undefined) {
-      jobs[jobId].processingSpeed = details.processingSpeed;
+      patch.processingSpeed = details.processingSpeed;
     }
-    console.log(`📊 Job ${jobId}: ${progress}`);
+    const job = jobStore.update(jobId, patch);
+    jobEvents.publish(jobId, "progress", buildJobStatus(job));
+    jobLogs.forJob(jobId).debug(progress);
+  }
+}
+
+// FIRs that matched but could not be downloaded, over all districts
+function countFailedFIRs(job) {
+  return (job.districts || []).reduce((sum, district) => sum + (district.failed || 0), 0);
+}
+
+// The status document shared by /job-status and the events stream
+function buildJobStatus(job) {
+  const queued = job.status === 'queued' ? jobQueue.position(job.id) : null;
+  return {
+    id: job.id,
+    status: job.status,
+    mode: job.params.mode || 'download',
+    portal: job.params.portal || LEGACY_PORTAL,
+    owner: job.ownerName || null,
+    progress: job.progress,
+    matchesFound: job.scanResults ? job.scanResults.length : null,
+    scanJobId: job.params.scanJobId || null,
+    targets: job.targetResults || null,
+    queuePosition: queued ? queued.position : null,
+    estimatedStartAt: queued ? queued.estimatedStartAt : null,
+    totalDownloaded: job.totalDownloaded || 0,
+    // Listed in failed.csv/failed.json; the ZIP is incomplete when this is not 0
+    failedCount: countFailedFIRs(job),
+    currentPage: job.currentPage || 0,
+    createdAt: job.createdAt,
+    lastUpdated: job.lastUpdated,
+    params: job.params,
+    sectionFilter: job.params.sectionFilter.label,
+    processingSpeed: job.processingSpeed || 'Calculating...',
+    estimatedTimeRemaining: job.estimatedTimeRemaining || 'Calculating...',
+    error: job.error,
+    currentDistrict: job.currentDistrict,
+    currentWindow: job.currentWindow || null,
+    districts: job.districts || [],
+    resumable: RESUMABLE_STATUSES.includes(job.status),
+    zipReady: isZipReady(job),
+    // When the job and its ZIP are deleted
+    expiresAt: job.expiresAt || null,
+    checkpoint: job.checkpoint
+      ? {
+        districtIndex: job.checkpoint.districtIndex || 0,
+        district: job.districts ? job.districts[job.checkpoint.districtIndex || 0].name : job.params.districtName,
+        windowIndex: job.checkpoint.windowIndex || 0,
+        pageIndex: job.checkpoint.pageIndex,
+        targetIndex: job.checkpoint.targetIndex,
+        downloaded: Object.keys(job.checkpoint.downloaded).length
+      }
+      : null
+  };
+}
+
+// Results stored before RESULT_STORAGE was changed cannot be reached any more
+function isStoredHere(result) {
+  return Boolean(result) && result.backend === resultStorage.type;
+}
+
+// Jobs finished before results were stored keep their ZIP in zipPath
+function isZipReady(job) {
+  return Boolean(job.result || job.zipPath) && (job.status === 'completed' || job.status === 'cancelled');
+}
+
+function deleteJobWorkFiles(job) {
+  const jobDownloadPath = getJobDownloadPath(job.id);
+  if (fs.existsSync(jobDownloadPath)) {
+    fs.rmSync(jobDownloadPath, { recursive: true, force: true });
+    serverLog.info(`🗑️ Deleted job directory: ${jobDownloadPath}`);
+  }
+}
+
+function deleteJobFiles(job) {
+  deleteJobWorkFiles(job);
+
+  if (job.zipPath && fs.existsSync(job.zipPath)) {
+    fs.unlinkSync(job.zipPath);
+    serverLog.info(`🗑️ Deleted ZIP file: ${job.zipPath}`);
+  }
+  if (isStoredHere(job.result)) {
+    const { key } = job.result;
+    resultStorage.remove(job.result)
+      .then(() => serverLog.info(`🗑️ Deleted stored ZIP: ${key}`))
+      .catch((error) => serverLog.error(`❌ Could not delete stored ZIP ${key}: ${error.message}`));
+  }
+  jobLogs.remove(job.id);
+}
+
+// Bytes used by a directory tree
+function directorySize(dir) {
+  if (!fs.existsSync(dir)) {
+    return 0;
+  }
+  return fs.readdirSync(dir, { withFileTypes: true }).reduce((total, entry) => {
+    const entryPath = path.join(dir, entry.name);
+    return total + (entry.isDirectory() ? directorySize(entryPath) : fs.statSync(entryPath).size);
+  }, 0);
+}
+
+// Only ZIPs on this machine count; an S3 bucket's are somebody else's disk
+function getZipSize(job) {
+  if (job.result) {
+    return job.result.backend === 'local' ? job.result.size : 0;
+  }
+  return job.zipPath && fs.existsSync(job.zipPath) ? fs.statSync(job.zipPath).size : 0;
+}
+
+// Download folder plus ZIP
+function getJobDiskUsage(job) {
+  return directorySize(getJobDownloadPath(job.id)) + getZipSize(job);
+}
+
+// Walking ./downloads on every scrape would be slow with many PDFs, so the
+// totals for GET /metrics are reused for a minute
+const DISK_USAGE_CACHE_MS = 60 * 1000;
+let diskUsageCache = null;
+
+function getDiskUsage() {
+  if (!diskUsageCache || Date.now() - diskUsageCache.measuredAt > DISK_USAGE_CACHE_MS) {
+    diskUsageCache = {
+      measuredAt: Date.now(),
+      downloads: directorySize(path.resolve("./downloads")),
+      zips: jobStore.list().reduce((total, job) => total + getZipSize(job), 0)
+    };
   }
+  return diskUsageCache;
+}
+
+// Failed and interrupted jobs keep their files this long so they can be resumed
+const RESUMABLE_RETENTION_MINUTES = 60;
+// Finished scan jobs stay around this long so FIRs can be picked from their results
+const SCAN_RETENTION_MINUTES = 60;
+// Jobs with a ZIP keep it (and their record) this long, unless they were
+// started with their own retentionHours of at most MAX_RESULT_RETENTION_HOURS
+const RESULT_RETENTION_HOURS = parseFloat(process.env.RESULT_RETENTION_HOURS) || 7 * 24;
+const MAX_RESULT_RETENTION_HOURS = parseFloat(process.env.MAX_RESULT_RETENTION_HOURS) || 90 * 24;
+
+function getResultRetentionMinutes(job) {
+  return (job.params.retentionHours || RESULT_RETENTION_HOURS) * 60;
+}
+
+// Paused jobs were stopped on purpose and keep their files as long as the
+// job would keep its ZIP, or PAUSED_RETENTION_HOURS when that is set
+const PAUSED_RETENTION_HOURS = parseFloat(process.env.PAUSED_RETENTION_HOURS) || null;
+
+function getPausedRetentionMinutes(job) {
+  return PAUSED_RETENTION_HOURS ? PAUSED_RETENTION_HOURS * 60 : getResultRetentionMinutes(job);
 }
 
+// Jobs in these states hold or wait for a browser and count against the owner's quota
+const ACTIVE_STATUSES = ['queued', 'started', 'running', 'pausing', 'cancelling'];
+const RESUMABLE_STATUSES = ['failed', 'interrupted', 'paused'];
+
+function isJobActive(job) {
+  return ACTIVE_STATUSES.includes(job.status);
+}
+
+const cleanupTimers = {};
+
 // Schedule automatic cleanup after successful download
 function scheduleJobCleanup(jobId, delayMinutes = 30) {
-  console.log(`⏰ Scheduling cleanup for job ${jobId} in ${delayMinutes} minutes`);
-  
-  setTimeout(() => {
-    if (jobs[jobId]) {
+  serverLog.info(`⏰ Scheduling cleanup for job ${jobId} in ${delayMinutes} minutes`);
+  cancelJobCleanup(jobId);
+  const expiresAt = new Date(Date.now() + delayMinutes * 60 * 1000);
+  jobStore.update(jobId, { expiresAt });
+  armCleanupTimer(jobId, expiresAt);
+}
+
+function armCleanupTimer(jobId, expiresAt) {
+  // Long retentions take several timers, see nextTimerDelayMs
+  cleanupTimers[jobId] = setTimeout(() => {
+    delete cleanupTimers[jobId];
+    if (Date.now() < expiresAt) {
+      armCleanupTimer(jobId, expiresAt);
+      return;
+    }
+    const job = jobStore.get(jobId);
+    if (job) {
       try {
-        // Delete job directory
-        const jobDownloadPath = getJobDownloadPath(jobId);
-        if (fs.existsSync(jobDownloadPath)) {
-          fs.rmSync(jobDownloadPath, { recursive: true, force: true });
-          console.log(`🗑️ Auto-deleted job directory: ${jobDownloadPath}`);
-        }
-        
-        // Delete ZIP file
-        if (jobs[jobId].zipPath && fs.existsSync(jobs[jobId].zipPath)) {
-          fs.unlinkSync(jobs[jobId].zipPath);
-          console.log(`🗑️ Auto-deleted ZIP file: ${jobs[jobId].zipPath}`);
-        }
+        // Delete job directory and ZIP file
+        deleteJobFiles(job);
         
         // Remove from jobs tracking
-        delete jobs[jobId];
-        console.log(`🗑️ Auto-cleaned job: ${jobId} after ${delayMinutes} minutes`);
+        jobStore.remove(jobId);
+        serverLog.info(`🗑️ Auto-cleaned job: ${jobId}`);
         
       } catch (error) {
-        console.error(`❌ Error during scheduled cleanup of job ${jobId}: ${error.message}`);
+        serverLog.error(`❌ Error during scheduled cleanup of job ${jobId}: ${error.message}`);
       }
     }
-  }, delayMinutes * 60 * 1000); // Convert minutes to milliseconds
+  }, nextTimerDelayMs(expiresAt));
+  // The HTTP server keeps the process alive, not pending cleanups
+  cleanupTimers[jobId].unref();
 }
 
-async function waitForDownloadedPdf(downloadDir, beforeSet, timeoutMs = 120000) {
-  console.log(`⏳ Waiting for PDF download in: ${downloadDir}...`);
-  const start = Date.now();
-  let lastSize = 0;
-  let stableCount = 0;
+function cancelJobCleanup(jobId) {
+  if (cleanupTimers[jobId]) {
+    clearTimeout(cleanupTimers[jobId]);
+    delete cleanupTimers[jobId];
+    jobStore.update(jobId, { expiresAt: null });
+  }
+}
 
-  while (Date.now() - start < timeoutMs) {
-    if (!fs.existsSync(downloadDir)) {
-      console.log(`📁 Download directory doesn't exist yet: ${downloadDir}`);
-      await new Promise((r) => setTimeout(r, 1000));
-      continue;
-    }
+// Cancel and pause requests for running jobs, keyed by jobId. The scraper
+// checks them between FIRs and pages, see throwIfJobStopped in lib/scraper.js.
+const jobControls = {};
 
-    const files = fs
-      .readdirSync(downloadDir)
-      .filter((f) => f.endsWith(".pdf") && !beforeSet.has(f));
+// Records how far a job got so a failed or interrupted run can be resumed.
+// downloaded maps FIR keys (see firKey) to the renamed file on disk.
+function saveCheckpoint(jobId, checkpoint) {
+  jobStore.update(jobId, {
+    checkpoint: { ...checkpoint, updatedAt: new Date() }
+  });
+}
 
-    if (files.length > 0) {
-      const latest = files.sort(
-        (a, b) =>
-          fs.statSync(path.join(downloadDir, b)).mtimeMs -
-          fs.statSync(path.join(downloadDir, a)).mtimeMs
-      )[0];
-      const full = path.join(downloadDir, latest);
-      const size = fs.statSync(full).size;
+function updateDistrictProgress(jobId, districtIndex, patch) {
+  const job = jobStore.get(jobId);
+  if (!job || !job.districts || !job.districts[districtIndex]) {
+    return;
+  }
+  const districts = job.districts.slice();
+  districts[districtIndex] = { ...districts[districtIndex], ...patch };
+  jobStore.update(jobId, { districts });
+}
 
-      console.log(`📄 Found file: ${latest} (${size} bytes)`);
+// The scraping core (lib/scraper.js), recording progress on the stored jobs.
+// DOWNLOAD_TIMEOUT_MS is how long a clicked download may take before the FIR
+// counts as failed; downloads and searches or page changes get
+// DOWNLOAD_MAX_ATTEMPTS and NAVIGATION_MAX_ATTEMPTS attempts, the wait between
+// them starting at RETRY_DELAY_MS and doubling each time. At most
+// MAX_FAILURE_SNAPSHOTS screenshots are kept per job.
+const scraper = createScraper({
+  jobs: {
+    get: (jobId) => jobStore.get(jobId),
+    update: (jobId, patch) => jobStore.update(jobId, patch),
+    progress: updateJobProgress,
+    updateDistrict: updateDistrictProgress,
+    saveCheckpoint,
+    publish: (jobId, type, data) => jobEvents.publish(jobId, type, data),
+    stopRequest: (jobId) => jobControls[jobId]
+  },
+  browserPool,
+  firLibrary,
+  firSearch,
+  jobLogs,
+  getPortalAdapter,
+  jobDir: getJobDownloadPath,
+  zipPath: (jobId) => path.join(__dirname, `downloaded_firs_${jobId}.zip`),
+  downloadTimeoutMs: parseInt(process.env.DOWNLOAD_TIMEOUT_MS, 10) || 120000,
+  downloadMaxAttempts: Math.max(1, parseInt(process.env.DOWNLOAD_MAX_ATTEMPTS, 10) || 3),
+  navigationMaxAttempts: Math.max(1, parseInt(process.env.NAVIGATION_MAX_ATTEMPTS, 10) || 3),
+  retryDelayMs: parseInt(process.env.RETRY_DELAY_MS, 10) || 2000,
+  maxFailureSnapshots: parseInt(process.env.MAX_FAILURE_SNAPSHOTS, 10) || 5,
+  metrics
+});
 
-      if (size === lastSize) {
-        stableCount += 1;
-        console.log(`⏱️ File size stable for ${stableCount} checks`);
-      } else {
-        stableCount = 0;
-        lastSize = size;
-        console.log(`📈 File size changed to ${size} bytes`);
-      }
+// Rows for GET /jobs/:jobId/report, read from the district manifests on disk
+// (written page by page, so running jobs have a report too). Returns null
+// once the job's files are gone.
+function collectReportEntries(job) {
+  if (job.params.mode === 'targeted') {
+    return targetReportEntries(job.targetResults || job.params.targets.map(createTargetResult));
+  }
+  const jobDownloadPath = getJobDownloadPath(job.id);
+  if (!fs.existsSync(jobDownloadPath)) {
+    return null;
+  }
+  const districts = job.params.districts || [{ name: job.params.districtName, code: job.params.districtCode }];
+  return districts.flatMap((district) => readManifestEntries(path.join(jobDownloadPath, getDistrictFolderName(district))));
+}
 
-      if (stableCount >= 3) {
-        console.log(`✅ File download completed: ${latest}`);
-        return latest;
-      }
-    } else {
-      console.log(`🔍 No new PDF files found in ${downloadDir}...`);
+// Sends the job's notifications, if it asked for any, and keeps a delivery log on the job
+function notifyJobFinished(jobId) {
+  const job = jobStore.get(jobId);
+  if (!job || !job.notify) {
+    return;
+  }
+
+  const counts = { scanned: 0, matched: 0, downloaded: 0, fromLibrary: 0, known: 0, failed: 0 };
+  (job.districts || []).forEach((district) => {
+    Object.keys(counts).forEach((field) => {
+      counts[field] += district[field] || 0;
+    });
+  });
+  const zipReady = isZipReady(job);
+  const payload = {
+    event: `job.${job.status}`,
+    deliveryId: crypto.randomUUID(),
+    jobId,
+    status: job.status,
+    mode: job.params.mode || 'download',
+    portal: job.params.portal || LEGACY_PORTAL,
+    districtName: job.params.districtName,
+    districts: (job.params.districts || []).map((d) => d.name),
+    fromDate: job.params.fromDate,
+    toDate: job.params.toDate,
+    sectionFilter: job.params.sectionFilter.label,
+    scheduleId: job.scheduleId || null,
+    totalDownloaded: job.totalDownloaded || 0,
+    counts,
+    statusUrl: `${job.baseUrl || getPublicBaseUrl()}/job-status/${jobId}`,
+    downloadUrl: zipReady ? `${job.baseUrl || getPublicBaseUrl()}/download-job-zip/${jobId}` : null,
+    expiresAt: job.expiresAt || null,
+    error: job.error || null,
+    finishedAt: new Date()
+  };
+
+  serverLog.info(`📣 Job ${jobId}: Sending ${payload.event} notifications`);
+  notifier.send(job.notify, payload, (entry) => {
+    const current = jobStore.get(jobId);
+    if (current) {
+      jobStore.update(jobId, { notificationLog: [...(current.notificationLog || []), entry] });
     }
+    serverLog.info(`📣 Job ${jobId}: ${entry.channel} ${entry.event} attempt ${entry.attempt} ${entry.ok ? `delivered (${entry.result})` : `failed (${entry.error})`}`);
+  });
+}
 
-    await new Promise((r) => setTimeout(r, 1000));
+// "page 3", or "FIR 4 of 15" for targeted jobs
+function describeCheckpointPosition(checkpoint, job = null) {
+  if (checkpoint.targetIndex !== undefined) {
+    return `FIR ${checkpoint.targetIndex + 1}${job ? ` of ${job.params.targets.length}` : ''}`;
   }
-  console.log("⏰ Download timeout reached");
-  return null;
+  return `page ${checkpoint.pageIndex}`;
 }
 
-async function extractAndDownloadFIRs(fromDate, toDate, districtCode, jobId) {
-  console.log(`🚀 Starting FIR extraction for job ${jobId}: ${fromDate} to ${toDate}, district code: ${districtCode}`);
-  const startTime = Date.now();
-  
-  // ✅ Initialize all counters at function start to avoid scope issues
-  let totalDownloaded = 0;
-  
+// Without the files on disk a checkpoint is useless; such jobs start over
+function getResumeCheckpoint(job) {
+  return job.checkpoint && fs.existsSync(getJobDownloadPath(job.id)) ? job.checkpoint : null;
+}
+
+// Called by the job queue once a browser is free
+function startQueuedJob(jobId) {
+  const job = jobStore.get(jobId);
+  if (!job || job.status !== 'queued') {
+    serverLog.info(`⏭️ Skipping queued job ${jobId}: no longer waiting`);
+    return;
+  }
+
+  const resumeFrom = getResumeCheckpoint(job);
+  jobStore.update(jobId, { status: 'started', startedAt: new Date() });
+  getJobDistrictNames(job).forEach((district) => jobsStartedTotal.inc({ district }));
+  updateJobProgress(jobId, resumeFrom ? '♻️ Resuming from the last checkpoint...' : '🔧 Initializing extraction job...');
+  return runExtractionJob(jobId, { resumeFrom });
+}
+
+function queueJob(jobId) {
+  jobStore.update(jobId, { status: 'queued', queuedAt: new Date() });
+  jobQueue.enqueue(jobId);
+}
+
+// Keeps the progress text of waiting jobs in step with their queue position
+function refreshQueuedJobs() {
+  jobQueue.waitingJobIds().forEach((jobId) => {
+    const { position, estimatedStartAt } = jobQueue.position(jobId);
+    const startTime = estimatedStartAt.toLocaleTimeString("en-IN", { timeZone: TIMEZONE, hour: "2-digit", minute: "2-digit" });
+    updateJobProgress(jobId, `⏳ Queued: position ${position}, estimated start around ${startTime} IST`);
+  });
+}
+
+// Daily stats and metrics of a job that just completed, failed or was cancelled
+function recordJobFinished(jobId) {
+  const job = jobStore.get(jobId);
+  jobStats.recordFinished(job);
+  getJobDistrictNames(job).forEach((district) => jobsFinishedTotal.inc({ district, status: job.status }));
+}
+
+// Hands a finished job's ZIP to resultStorage; the job keeps what it returns
+// as its result
+async function storeJobResult(jobId, zipPath) {
+  if (!zipPath) {
+    return null;
+  }
   try {
-    updateJobProgress(jobId, "🔧 Setting up isolated download directory...", { totalDownloaded });
-    const jobDownloadPath = ensureJobDownloadDir(jobId);
-
-    updateJobProgress(jobId, "🌐 Launching browser (this may take a moment)...", { totalDownloaded });
-    console.log(`🌐 Launching Puppeteer browser for job ${jobId}...`);
-    const browser = await puppeteer.launch({
-    headless: "new",
-    defaultViewport: null,
-    args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-gpu',
-        '--disable-web-security',
-        '--disable-features=VizDisplayCompositor',
-        '--start-maximized'
-    ]
-});
+    const result = await resultStorage.store(jobId, zipPath);
+    jobLogs.forJob(jobId).info(`💾 Stored the ZIP (${result.size} bytes) in ${resultStorage.describe()}`);
+    return result;
+  } catch (error) {
+    throw new Error(`Could not store the ZIP: ${error.message}`);
+  }
+}
 
+// Records a cancelled job. Without a partial ZIP its files are deleted right away.
+function markJobCancelled(jobId, result = null) {
+  const job = jobStore.get(jobId);
+  if (!result) {
+    deleteJobFiles(job);
+  }
+  jobStore.update(jobId, {
+    status: 'cancelled',
+    progress: result
+      ? `⏹️ Cancelled. Partial ZIP with ${job.totalDownloaded || 0} FIRs is ready for download.`
+      : '⏹️ Cancelled. No files were kept.',
+    result,
+    cancelledAt: new Date(),
+    checkpoint: null
+  });
+  scheduleJobCleanup(jobId, result ? getResultRetentionMinutes(job) : 30);
+  jobEvents.publish(jobId, 'cancelled', buildJobStatus(jobStore.get(jobId)));
+  recordJobFinished(jobId);
+  notifyJobFinished(jobId);
+  jobLogs.forJob(jobId).info(`⏹️ Cancelled${result ? ' with a partial ZIP' : ''}`);
+}
 
-    try {
-      updateJobProgress(jobId, "📖 Opening new browser tab...", { totalDownloaded });
-      console.log(`📖 Creating new page for job ${jobId}...`);
-      const page = await browser.newPage();
-
-      updateJobProgress(jobId, "⚙️ Configuring download settings...", { totalDownloaded });
-      console.log(`⚙️ Configuring download behavior for job ${jobId}...`);
-      const client = await page.target().createCDPSession();
-      const absPath = path.resolve(jobDownloadPath);
-      console.log(`📂 Job ${jobId} absolute download path: ${absPath}`);
-      
-      let downloadBehaviorSet = false;
-      try {
-        await client.send("Browser.setDownloadBehavior", {
-          behavior: "allow",
-          downloadPath: absPath
+// Runs a stored job in the background and records the outcome on the job
+function runExtractionJob(jobId, { resumeFrom = null } = {}) {
+  const { params } = jobStore.get(jobId);
+  const sectionFilter = compileSectionFilter(params.sectionFilter.spec);
+  // Jobs stored before multi-district support only carry a single districtCode
+  const districts = params.districts || [{ name: params.districtName, code: params.districtCode }];
+
+  // A portal config removed since the job was stored fails the job
+  const run = Promise.resolve()
+    .then(() => {
+      const portal = getPortalAdapter(params.portal || LEGACY_PORTAL);
+      return params.mode === 'targeted'
+        ? scraper.downloadTargetedFIRs(jobId, params.targets, districts, { portal, resumeFrom })
+        : scraper.extractAndDownloadFIRs(params.fromDate, params.toDate, districts, jobId, {
+          portal,
+          sectionFilter,
+          resumeFrom,
+          newOnly: Boolean(params.newOnly),
+          mode: params.mode || 'download',
+          selectedKeys: params.selectedKeys ? new Set(params.selectedKeys) : null
         });
-        downloadBehaviorSet = true;
-        console.log(`✅ Job ${jobId}: Browser.setDownloadBehavior configured successfully`);
-      } catch (e) {
-        console.log(`⚠️ Job ${jobId}: Browser.setDownloadBehavior failed, trying Page.setDownloadBehavior...`);
-      }
-      
-      if (!downloadBehaviorSet) {
-        try {
-          await client.send("Page.setDownloadBehavior", {
-            behavior: "allow",
-            downloadPath: absPath
-          });
-          console.log(`✅ Job ${jobId}: Page.setDownloadBehavior configured successfully`);
-        } catch (e) {
-          console.log(`⚠️ Job ${jobId}: Page.setDownloadBehavior also failed, relying on default downloads`);
-        }
+    });
+
+  return run
+    .then(zipPath => storeJobResult(jobId, zipPath))
+    .then(result => {
+      const control = jobControls[jobId];
+      delete jobControls[jobId];
+      // A cancel that arrives after the last page is too late to stop the job, so it completes
+      if (control && control.stoppedAt) {
+        markJobCancelled(jobId, result);
+        return;
       }
 
-      const url = "https://citizen.mahapolice.gov.in/Citizen/MH/PublishedFIRs.aspx";
-      updateJobProgress(jobId, "🔗 Connecting to Maharashtra Police website...", { totalDownloaded });
-      console.log(`🔗 Job ${jobId}: Navigating to: ${url}`);
-      await page.goto(url, { waitUntil: "networkidle2", timeout: 60000 });
+      const districtNote = districts.length > 1 ? ` across ${districts.length} districts` : '';
+      const completedJob = jobStore.get(jobId);
+      const failedCount = countFailedFIRs(completedJob);
+      const failedNote = failedCount > 0 ? ` ⚠️ ${failedCount} FIRs could not be downloaded, see failed.csv in the ZIP.` : '';
+      jobStore.update(jobId, {
+        status: 'completed',
+        progress: params.mode === 'scan'
+          ? `🔎 Scan completed! Found ${completedJob.scanResults.length} FIRs matching ${sectionFilter.label}${districtNote}. Pick the ones to download.`
+          : params.mode === 'targeted'
+            ? `🎉 Completed! Found ${completedJob.totalDownloaded} of ${params.targets.length} requested FIRs. Ready for download.${failedNote}`
+            : `🎉 Completed! Downloaded ${completedJob.totalDownloaded} FIRs matching ${sectionFilter.label}${districtNote}. Ready for download.${failedNote}`,
+        result,
+        completedAt: new Date(),
+        checkpoint: null
+      });
       
-      updateJobProgress(jobId, "🔄 Loading website content...", { totalDownloaded });
-      console.log(`🔄 Job ${jobId}: Reloading page...`);
-      await page.reload({ waitUntil: "networkidle2" });
-
-      updateJobProgress(jobId, "📏 Setting up search parameters (50 results per page)...", { totalDownloaded });
-      console.log(`📏 Job ${jobId}: Setting page size to 50...`);
-      await page.waitForSelector("#ContentPlaceHolder1_ucRecordView_ddlPageSize", { visible: true });
-      await page.select("#ContentPlaceHolder1_ucRecordView_ddlPageSize", "50");
-      console.log(`✅ Job ${jobId}: Page size set to 50`);
-
-      updateJobProgress(jobId, `📅 Setting date range: ${fromDate} to ${toDate}...`, { totalDownloaded });
-      console.log(`📅 Job ${jobId}: Setting from date: ${fromDate}`);
-      await page.waitForSelector("#ContentPlaceHolder1_txtDateOfRegistrationFrom", { visible: true });
-      await page.evaluate(
-        (selector, date) => {
-          const input = document.querySelector(selector);
-          input.value = date;
-          input.dispatchEvent(new Event("input", { bubbles: true }));
-          input.dispatchEvent(new Event("change", { bubbles: true }));
-        },
-        "#ContentPlaceHolder1_txtDateOfRegistrationFrom",
-        fromDate
-      );
-
-      console.log(`📅 Job ${jobId}: Setting to date: ${toDate}`);
-      await page.evaluate(
-        (selector, date) => {
-          const input = document.querySelector(selector);
-          input.value = date;
-          input.dispatchEvent(new Event("input", { bubbles: true }));
-          input.dispatchEvent(new Event("change", { bubbles: true }));
-        },
-        "#ContentPlaceHolder1_txtDateOfRegistrationTo",
-        toDate
-      );
-
-      console.log(`🏛️ Job ${jobId}: Setting district: ${districtCode}`);
-      await page.waitForSelector("#ContentPlaceHolder1_ddlDistrict", { visible: true });
-      await page.select("#ContentPlaceHolder1_ddlDistrict", districtCode);
-      console.log(`✅ Job ${jobId}: District selected`);
-
-      updateJobProgress(jobId, "🔍 Executing search query...", { totalDownloaded });
-      console.log(`🔍 Job ${jobId}: Clicking search button...`);
-      await page.waitForSelector("#ContentPlaceHolder1_btnSearch", { visible: true });
-      await Promise.all([
-        page.click("#ContentPlaceHolder1_btnSearch"),
-        page.waitForSelector("#ContentPlaceHolder1_gdvDeadBody", {
-          visible: true,
-          timeout: 60000
-        })
-      ]);
-      console.log(`✅ Job ${jobId}: Search completed, results loaded`);
-
-      const targetSections = [
-        "प्राण्‍यांचा छळ प्रतिबंधक अधिनियम, १९६०",
-        "महाराष्‍ट्र प्राणी संरक्षण (सुधारणा)अधिनियम,१९९५",
-        "महाराष्ट्र पशु संरक्षण अधिनियम, १९७६",
-        "पशु संरक्षण अधिनियम, १९५१"
-      ];
-
-      updateJobProgress(jobId, "🎯 Scanning for animal protection law violations...", { totalDownloaded });
-      console.log(`🎯 Job ${jobId}: Target sections: ${targetSections.join(", ")}`);
-
-      let pageIndex = 1;
-      let isLastPage = false;
-      const seenFirstRowHashes = new Set();
-
-      while (!isLastPage) {
-        const elapsedMinutes = (Date.now() - startTime) / 60000;
-        const processingSpeed = totalDownloaded > 0 ? `${Math.round(totalDownloaded / elapsedMinutes)} files/min` : 'Calculating...';
-        
-        updateJobProgress(jobId, `📄 Processing page ${pageIndex}... (Scanning FIR records)`, { 
-          currentPage: pageIndex, 
-          totalDownloaded,
-          processingSpeed
-        });
-        console.log(`📄 Job ${jobId}: Processing page ${pageIndex}...`);
-        
-        const firData = await page.evaluate(() => {
-          const rows = Array.from(
-            document.querySelectorAll("#ContentPlaceHolder1_gdvDeadBody tr")
-          );
-          return rows
-            .map((row) => {
-              const cells = Array.from(row.querySelectorAll("td"));
-              return {
-                data: cells.map((cell) => cell.innerText.trim()),
-                downloadSelector:
-                  cells[cells.length - 1]
-                    ?.querySelector("input")
-                    ?.getAttribute("id") || null
-              };
-            })
-            .filter((row) => row.data.length === 10);
-        });
+      scheduleJobCleanup(jobId, params.mode === 'scan' ? SCAN_RETENTION_MINUTES : getResultRetentionMinutes(completedJob));
+      jobEvents.publish(jobId, 'completed', buildJobStatus(jobStore.get(jobId)));
+      recordJobFinished(jobId);
+      notifyJobFinished(jobId);
+      
+      jobLogs.forJob(jobId).info('✅ Completed successfully');
+    })
+    .catch(error => {
+      delete jobControls[jobId];
 
-        console.log(`📊 Job ${jobId}: Found ${firData.length} FIR records on page ${pageIndex}`);
-
-        if (firData.length === 0) {
-          console.log(`❌ Job ${jobId}: No FIR data found, ending pagination`);
-          isLastPage = true;
-          break;
-        }
-
-        if (firData.length > 0) {
-          console.log(`📝 Job ${jobId}: Sample FIR data (first record):`);
-          firData[0].data.forEach((cell, idx) => {
-            console.log(`  Column ${idx}: ${cell.substring(0, 100)}${cell.length > 100 ? '...' : ''}`);
-          });
-        }
-
-        const firstRowKey = JSON.stringify(firData[0]);
-        if (seenFirstRowHashes.has(firstRowKey)) {
-          console.log(`🔄 Job ${jobId}: Detected repeated data, ending pagination`);
-          isLastPage = true;
-        } else {
-          seenFirstRowHashes.add(firstRowKey);
-        }
-
-        let pageDownloads = 0;
-        for (const [index, fir] of firData.entries()) {
-          try {
-            const currentElapsedMinutes = (Date.now() - startTime) / 60000;
-            const currentProcessingSpeed = totalDownloaded > 0 ? `${Math.round(totalDownloaded / currentElapsedMinutes)} files/min` : 'Calculating...';
-            const estimatedTimeRemaining = totalDownloaded > 0 ? 
-              `~${Math.round((currentElapsedMinutes / totalDownloaded) * (50 - totalDownloaded))} min remaining` : 
-              'Calculating...';
-
-            updateJobProgress(jobId, `📋 Page ${pageIndex}: Analyzing FIR ${index + 1}/${firData.length}`, { 
-              currentPage: pageIndex, 
-              totalDownloaded,
-              processingSpeed: currentProcessingSpeed,
-              estimatedTimeRemaining
-            });
-            console.log(`🔍 Job ${jobId}: Checking FIR ${index + 1}/${firData.length} on page ${pageIndex}`);
-            
-            const sectionText1 = fir.data[8] || "";
-            const sectionText2 = fir.data[1] || "";
-            const allText = sectionText1 + " " + sectionText2;
-            
-            console.log(`📋 Job ${jobId}: Section text: ${allText.substring(0, 200)}${allText.length > 200 ? '...' : ''}`);
-            
-            const matches = targetSections.some((s) => allText.includes(s));
-            if (!matches) {
-              console.log(`⏭️ Job ${jobId}: No target section match found, skipping`);
-              continue;
-            }
-            
-            console.log(`✅ Job ${jobId}: Target section match found!`);
-            
-            if (!fir.downloadSelector) {
-              console.log(`❌ Job ${jobId}: No download selector found, skipping`);
-              continue;
-            }
-
-            updateJobProgress(jobId, `📥 Downloading FIR file ${totalDownloaded + 1}... Please wait`, { 
-              currentPage: pageIndex, 
-              totalDownloaded,
-              processingSpeed: currentProcessingSpeed
-            });
-            console.log(`📥 Job ${jobId}: Attempting download for selector: ${fir.downloadSelector}`);
-            const filesBefore = new Set(fs.readdirSync(jobDownloadPath));
-            console.log(`📁 Job ${jobId}: Files before download: ${filesBefore.size}`);
-            
-            await page.click(`#${fir.downloadSelector}`);
-            console.log(`🖱️ Job ${jobId}: Download button clicked`);
-
-            const downloadedFile = await waitForDownloadedPdf(
-              jobDownloadPath,
-              filesBefore,
-              120000
-            );
-
-            if (downloadedFile) {
-              console.log(`✅ Job ${jobId}: File downloaded: ${downloadedFile}`);
-              
-              const firNumberRaw = fir.data[7].split("/");
-              const field2 = safe(fir.data[2] || "field2");
-              const field3 = safe(fir.data[3] || "field3");
-              const field4 = safe(fir.data[4] || "field4");
-              const field6 = safe(fir.data[6] || "field6");
-              
-              const newFileName = `${field2}_${field3}_${field4}_${(firNumberRaw)}_${field6}.pdf`;
-              console.log(`📝 Job ${jobId}: Renaming to: ${newFileName}`);
-
-              const oldFilePath = path.join(jobDownloadPath, downloadedFile);
-              const newFilePath = path.join(jobDownloadPath, newFileName);
-
-              let finalPath = newFilePath;
-              let i = 1;
-              while (fs.existsSync(finalPath)) {
-                const ext = path.extname(newFileName);
-                const base = path.basename(newFileName, ext);
-                finalPath = path.join(jobDownloadPath, `${base}(${i})${ext}`);
-                i++;
-              }
-              
-              fs.renameSync(oldFilePath, finalPath);
-              console.log(`✅ Job ${jobId}: File renamed to: ${path.basename(finalPath)}`);
-              
-              pageDownloads++;
-              totalDownloaded++; // ✅ Safe increment now that variable is properly scoped
-              
-              const updatedElapsedMinutes = (Date.now() - startTime) / 60000;
-              const updatedProcessingSpeed = `${Math.round(totalDownloaded / updatedElapsedMinutes)} files/min`;
-              
-              updateJobProgress(jobId, `✅ Downloaded ${totalDownloaded} files successfully`, { 
-                currentPage: pageIndex, 
-                totalDownloaded,
-                processingSpeed: updatedProcessingSpeed
-              });
-            } else {
-              console.log(`❌ Job ${jobId}: Download failed or timed out`);
-            }
-
-            console.log(`⏳ Job ${jobId}: Waiting 1 second before next download...`);
-            await new Promise((r) => setTimeout(r, 1000));
-          } catch (err) {
-            console.error(`❌ Job ${jobId}: Error processing FIR ${index + 1}: ${err.message}`);
-          }
-        }
-
-        console.log(`📊 Job ${jobId}: Page ${pageIndex} summary: ${pageDownloads} downloads completed`);
-
-        pageIndex++;
-        updateJobProgress(jobId, `🔄 Moving to page ${pageIndex}... (${totalDownloaded} files collected so far)`, { 
-          currentPage: pageIndex - 1, 
-          totalDownloaded 
-        });
-        console.log(`🔄 Job ${jobId}: Attempting to navigate to page ${pageIndex}...`);
-        
-        const pageClicked = await page.evaluate((nextIndex) => {
-          const links = Array.from(document.querySelectorAll(".gridPager a"));
-          console.log(`Found ${links.length} pagination links`);
-          
-          let target = links.find((l) => l.innerText.trim() === String(nextIndex));
-          if (!target) {
-            console.log(`Page ${nextIndex} link not found, looking for dots...`);
-            const dots = [...links].reverse().find((l) => l.innerText.trim() === "...");
-            if (dots) {
-              console.log(`Clicking dots to expand pagination...`);
-              dots.click();
-              return "dots";
-            }
-            console.log(`No more pages available`);
-            return false;
-          }
-          console.log(`Clicking page ${nextIndex} link`);
-          target.click();
-          return true;
-        }, pageIndex);
-
-        if (!pageClicked) {
-          console.log(`📄 Job ${jobId}: No more pages to process`);
-          isLastPage = true;
-          break;
-        }
-
-        if (pageClicked === "dots") {
-          console.log(`⏳ Job ${jobId}: Waiting for pagination expansion...`);
-        } else {
-          console.log(`⏳ Job ${jobId}: Waiting for page ${pageIndex} to load...`);
-        }
-
-        await page.waitForSelector("#ContentPlaceHolder1_gdvDeadBody", {
-          visible: true,
-          timeout: 60000
-        });
-        console.log(`✅ Job ${jobId}: Page ${pageIndex} loaded successfully`);
+      if (error.jobStop === 'cancel') {
+        markJobCancelled(jobId);
+        return;
       }
 
-      console.log(`🎉 Job ${jobId}: Scraping completed! Total downloads: ${totalDownloaded}`);
-      await browser.close();
-      console.log(`🌐 Job ${jobId}: Browser closed`);
-      
-    } catch (err) {
-      console.error(`❌ Job ${jobId}: Error during extraction: ${err.message}`);
-      try {
-        await browser.close();
-        console.log(`🌐 Job ${jobId}: Browser closed after error`);
-      } catch (_) {
-        console.log(`⚠️ Job ${jobId}: Failed to close browser`);
+      const checkpoint = jobStore.get(jobId).checkpoint;
+      if (error.jobStop === 'pause') {
+        const keepMinutes = getPausedRetentionMinutes(jobStore.get(jobId));
+        jobStore.update(jobId, {
+          status: 'paused',
+          progress: `⏸️ Paused on ${describeCheckpointPosition(checkpoint)}. Resume the job within ${keepMinutes / 60} hours to continue.`,
+          pausedAt: new Date()
+        });
+        scheduleJobCleanup(jobId, keepMinutes);
+        jobEvents.publish(jobId, 'paused', buildJobStatus(jobStore.get(jobId)));
+        jobLogs.forJob(jobId).info(`⏸️ Paused on ${describeCheckpointPosition(checkpoint)}`);
+        return;
       }
-      throw err;
-    }
-
-    updateJobProgress(jobId, `🗜️ Creating ZIP file with ${totalDownloaded} documents...`, { totalDownloaded });
-    console.log(`🗜️ Job ${jobId}: Creating ZIP file...`);
-    const zipFilePath = path.join(__dirname, `downloaded_firs_${jobId}.zip`);
-    
-    await new Promise((resolve, reject) => {
-      const output = fs.createWriteStream(zipFilePath);
-      const archive = archiver("zip", { zlib: { level: 9 } });
 
-      output.on("close", () => {
-        console.log(`✅ Job ${jobId}: ZIP file created: ${archive.pointer()} total bytes`);
-        resolve();
+      jobStore.update(jobId, {
+        status: 'failed',
+        progress: checkpoint
+          ? `❌ Failed on ${describeCheckpointPosition(checkpoint)}: ${error.message}. The job can be resumed.`
+          : `❌ Failed: ${error.message}`,
+        error: error.message,
+        failedAt: new Date()
       });
       
-      archive.on("error", (err) => {
-        console.error(`❌ Job ${jobId}: ZIP creation error: ${err.message}`);
-        reject(err);
-      });
-
-      archive.pipe(output);
-      archive.directory(jobDownloadPath, false);
-      archive.finalize();
+      // Keep downloaded files around long enough to resume the job
+      scheduleJobCleanup(jobId, RESUMABLE_RETENTION_MINUTES);
+      jobEvents.publish(jobId, 'failed', buildJobStatus(jobStore.get(jobId)));
+      recordJobFinished(jobId);
+      notifyJobFinished(jobId);
+      
+      jobLogs.forJob(jobId).error(`❌ Job failed: ${error.message}`);
     });
+}
+
+// Short label for job listings and ZIP names
+function describeDistricts(districts, portal = getPortalAdapter()) {
+  if (districts.length === Object.keys(portal.districts).length) {
+    return 'ALL';
+  }
+  if (districts.length === 1) {
+    return districts[0].name;
+  }
+  return districts.length <= 3 ? districts.map(d => d.name).join(' + ') : `${districts.length} districts`;
+}
 
-    console.log(`📦 Job ${jobId}: ZIP file ready at: ${zipFilePath}`);
-    return zipFilePath;
+function countActiveJobs(ownerId) {
+  return jobStore.list().filter(j => 
+    j.ownerId === ownerId && 
+    isJobActive(j)
+  ).length;
+}
 
-  } catch (error) {
-    console.error(`❌ Job ${jobId} failed: ${error.message}`);
-    console.error(`Stack trace: ${error.stack}`);
-    throw error;
+// Returns why the user may not start a job now, or null. Resumed jobs only
+// need a free slot; they were counted when they were created.
+function checkJobQuota(user, { newJob = true } = {}) {
+  const quota = auth.quotaFor(user);
+  if (quota.maxActiveJobs && countActiveJobs(user.id) >= quota.maxActiveJobs) {
+    return `Too many concurrent jobs (limit ${quota.maxActiveJobs}). Please wait for existing jobs to complete.`;
   }
+  if (newJob && quota.maxJobsPerDay && auth.jobsToday(user) >= quota.maxJobsPerDay) {
+    return `Daily limit of ${quota.maxJobsPerDay} jobs reached. Please try again tomorrow.`;
+  }
+  return null;
 }
 
 app.use(express.static(path.join(__dirname, "public")));
 
-// Start FIR extraction job
-app.post("/start-fir-job", async (req, res) => {
-  console.log(`📥 Received request: POST /start-fir-job from ${req.ip}`);
-  console.log(`📋 Body:`, req.body);
-  
-  const { fromDate, toDate, districtName } = req.body;
+// Every route below needs a session cookie from POST /auth/login or an API
+// key (Authorization: Bearer <key> or X-API-Key), except these
+const PUBLIC_ROUTES = ['POST /auth/login', 'GET /portals', 'GET /section-presets'];
+// Prometheus can scrape GET /metrics with this bearer token instead of an admin API key
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+
+app.use((req, res, next) => {
+  const authorization = req.get('Authorization') || '';
+  const apiKey = req.get('X-API-Key') || (/^Bearer\s+/i.test(authorization) ? authorization.replace(/^Bearer\s+/i, '') : null);
+  req.metricsScraper = Boolean(METRICS_TOKEN) && req.path === '/metrics' && apiKey === METRICS_TOKEN;
+  req.user = req.metricsScraper ? null : auth.authenticate({ apiKey, sessionToken: parseCookies(req.get('Cookie'))[SESSION_COOKIE] });
+  if (req.user || req.metricsScraper || PUBLIC_ROUTES.includes(`${req.method} ${req.path}`)) {
+    return next();
+  }
+  serverLog.info(`❌ Unauthenticated request: ${req.method} ${req.path} from ${req.ip}`);
+  res.status(401).json({ error: 'Sign in or send an API key (Authorization: Bearer <key>).' });
+});
 
-  if (!fromDate || !toDate || !districtName) {
-    console.log("❌ Missing required parameters");
-    return res.status(400).json({
-      error: "Required parameters: fromDate, toDate, districtName"
-    });
+function requireAdmin(req, res, next) {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Only admins can do this.' });
   }
+  next();
+}
 
-  const dateFormat = "DD/MM/YYYY";
-  if (
-    !moment(fromDate, dateFormat, true).isValid() ||
-    !moment(toDate, dateFormat, true).isValid()
-  ) {
-    console.log("❌ Invalid date format");
-    return res.status(400).json({
-      error: "Invalid date format. Use DD/MM/YYYY."
-    });
+// Jobs and schedules belong to the user who created them; admins see all.
+// Records from before accounts existed have no owner and are admin-only.
+function canAccess(user, record) {
+  return user.role === 'admin' || (Boolean(record.ownerId) && record.ownerId === user.id);
+}
+
+// Someone else's job is reported as not found rather than forbidden
+function getVisibleJob(req, jobId) {
+  const job = jobStore.get(jobId);
+  return job && canAccess(req.user, job) ? job : undefined;
+}
+
+function getVisibleSchedule(req, scheduleId) {
+  const schedule = scheduleStore.get(scheduleId);
+  return schedule && canAccess(req.user, schedule) ? schedule : undefined;
+}
+
+app.post("/auth/login", (req, res) => {
+  const { username, password } = req.body || {};
+  const session = auth.login(username, password);
+  if (!session) {
+    serverLog.info(`❌ Failed login for "${username}" from ${req.ip}`);
+    return res.status(401).json({ error: 'Wrong username or password.' });
   }
+  res.cookie(SESSION_COOKIE, session.token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    maxAge: (parseFloat(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000
+  });
+  serverLog.info(`🔑 ${session.user.username} signed in from ${req.ip}`);
+  res.json(auth.describe(session.user));
+});
 
-  const fromDateMoment = moment.tz(fromDate, dateFormat, "Asia/Kolkata");
-  const toDateMoment = moment.tz(toDate, dateFormat, "Asia/Kolkata");
+app.post("/auth/logout", (req, res) => {
+  auth.logout(parseCookies(req.get('Cookie'))[SESSION_COOKIE]);
+  res.clearCookie(SESSION_COOKIE);
+  res.json({ signedOut: true });
+});
 
-  if (fromDateMoment.isAfter(toDateMoment)) {
-    console.log("❌ Invalid date range: fromDate is after toDate");
-    return res.status(400).json({
-      error: "'fromDate' should be before 'toDate'."
-    });
+// The signed-in user with their quota, usage and API keys
+app.get("/auth/me", (req, res) => {
+  res.json(auth.describe(req.user));
+});
+
+// The key is only returned here; store it somewhere safe
+app.post("/auth/api-keys", (req, res) => {
+  const { key, apiKey } = auth.createApiKey(req.user.id, (req.body || {}).label);
+  serverLog.info(`🔑 ${req.user.username} created API key ${apiKey.prefix}…`);
+  res.status(201).json({ ...apiKey, key });
+});
+
+app.delete("/auth/api-keys/:keyId", (req, res) => {
+  if (!auth.revokeApiKey(req.user.id, req.params.keyId)) {
+    return res.status(404).json({ error: 'API key not found' });
   }
+  serverLog.info(`🗑️ ${req.user.username} revoked API key ${req.params.keyId}`);
+  res.json({ id: req.params.keyId, revoked: true });
+});
 
-  if (toDateMoment.diff(fromDateMoment, "days") > 90) {
-    console.log("❌ Date range exceeds 90 days");
-    return res.status(400).json({
-      error: "Date range should not exceed 90 days."
-    });
+app.get("/users", requireAdmin, (req, res) => {
+  res.json(auth.list().map((user) => auth.describe(user)));
+});
+
+// Body: { username, password, role?, quota? }
+app.post("/users", requireAdmin, (req, res) => {
+  let user;
+  try {
+    user = auth.createUser(req.body || {});
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
   }
+  serverLog.info(`👤 ${req.user.username} created ${user.role} ${user.username}`);
+  res.status(201).json(auth.describe(user));
+});
 
-  const districtNameUpper = String(districtName).toUpperCase();
-  const code = allowedDistricts[districtNameUpper];
-  if (!code) {
-    console.log(`❌ Invalid district: ${districtName}`);
-    return res.status(400).json({
-      error: "Invalid or unsupported district name."
-    });
+// Body: any of { password, role, quota, disabled }
+app.put("/users/:userId", requireAdmin, (req, res) => {
+  if (!auth.get(req.params.userId)) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  let user;
+  try {
+    user = auth.updateUser(req.params.userId, req.body || {});
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
   }
+  serverLog.info(`👤 ${req.user.username} updated user ${user.username}`);
+  res.json(auth.describe(user));
+});
 
-  // Rate limiting per user IP
-  const userJobs = Object.values(jobs).filter(j => 
-    j.userIp === req.ip && 
-    (j.status === 'started' || j.status === 'running')
-  );
-  if (userJobs.length >= 2) {
-    console.log(`❌ Rate limit exceeded for IP: ${req.ip}`);
-    return res.status(429).json({
-      error: "Too many concurrent jobs. Please wait for existing jobs to complete."
-    });
+function parseNotifyTargets(notify) {
+  return normalizeNotifyTargets(notify, {
+    defaultSecret: process.env.WEBHOOK_SECRET || null,
+    smtpConfigured: Boolean(process.env.SMTP_HOST),
+    allowedHosts: WEBHOOK_ALLOWED_HOSTS
+  });
+}
+
+// Notification targets without the webhook secret, for API responses
+function describeNotifyTargets(targets) {
+  if (!targets) {
+    return null;
+  }
+  return {
+    webhookUrl: targets.webhook ? targets.webhook.url : null,
+    email: targets.email ? targets.email.to : null
+  };
+}
+
+// PUBLIC_BASE_URL wins when the server sits behind a proxy
+function getPublicBaseUrl(req = null) {
+  if (process.env.PUBLIC_BASE_URL) {
+    return process.env.PUBLIC_BASE_URL.replace(/\/+$/, '');
+  }
+  return req ? `${req.protocol}://${req.get('host')}` : `http://localhost:${port}`;
+}
+
+// "download" fetches every matching FIR, "scan" only lists them and
+// "targeted" looks up a given list of FIRs
+const JOB_MODES = ['download', 'scan', 'targeted'];
+const MAX_TARGETS = 200;
+
+// Validates the FIR list of a targeted job: [{ district, policeStation,
+// firNumber, year, fromDate?, toDate? }]. An optional date range narrows
+// the portal search when FIR numbers alone match too many rows.
+function parseFirTargets(input, portal = getPortalAdapter()) {
+  if (!portal.supportsTargets) {
+    throw new Error(`The ${portal.name} portal config has no police station and FIR number fields.`);
+  }
+  if (!Array.isArray(input) || input.length === 0) {
+    throw new Error('targets must be a non-empty list of { district, policeStation, firNumber, year }.');
   }
+  if (input.length > MAX_TARGETS) {
+    throw new Error(`At most ${MAX_TARGETS} FIRs can be requested in one job.`);
+  }
+
+  const seen = new Set();
+  return input.map((item, idx) => {
+    const label = `targets[${idx}]`;
+    if (!item || typeof item !== 'object') {
+      throw new Error(`${label} must be an object.`);
+    }
+    if (Array.isArray(item.district) || String(item.district).trim().toUpperCase() === 'ALL') {
+      throw new Error(`${label}: district must name one district.`);
+    }
+    const [district] = resolveDistricts(item.district, portal);
+    const policeStation = String(item.policeStation || '').trim();
+    if (!policeStation) {
+      throw new Error(`${label}: policeStation is required.`);
+    }
+    const firNumber = String(item.firNumber || '').trim();
+    if (!/^\d{1,6}$/.test(firNumber)) {
+      throw new Error(`${label}: firNumber must be a number, e.g. "0123".`);
+    }
+    const year = String(item.year || '').trim();
+    if (!/^\d{4}$/.test(year)) {
+      throw new Error(`${label}: year must have 4 digits.`);
+    }
+
+    const target = { district, policeStation, firNumber, year };
+    if (item.fromDate || item.toDate) {
+      const dateError = validateDateRange(item.fromDate, item.toDate, { maxDays: portal.maxRangeDays });
+      if (dateError) {
+        throw new Error(`${label}: ${dateError}`);
+      }
+      target.fromDate = item.fromDate;
+      target.toDate = item.toDate;
+    }
 
+    const key = [district.name, normalizeText(policeStation), parseInt(firNumber, 10), year].join('|');
+    if (seen.has(key)) {
+      throw new Error(`${label}: FIR ${firNumber}/${year} at ${policeStation} is listed twice.`);
+    }
+    seen.add(key);
+    return target;
+  });
+}
+
+// Stores a new job and puts it in the queue; returns its id
+function createExtractionJob({ portal = getPortalAdapter(), fromDate, toDate, dateWindows, districts, compiledFilter, newOnly = false, mode = 'download', selectedKeys = null, scanJobId = null, targets = null, retentionHours = null, owner, userIp, userAgent, scheduleId = null, notify = null, baseUrl }) {
+  const districtLabel = describeDistricts(districts, portal);
   const jobId = `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   
-  jobs[jobId] = {
+  jobStore.save({
     id: jobId,
-    status: 'started',
-    progress: '🔧 Initializing extraction job...',
+    status: 'queued',
+    progress: '⏳ Waiting for a free browser...',
     createdAt: new Date(),
     lastUpdated: new Date(),
-    params: { fromDate, toDate, districtName, districtCode: code },
+    params: {
+      // Name of the portal adapter the job searches
+      portal: portal.name,
+      fromDate,
+      toDate,
+      districtName: districtLabel,
+      districts,
+      dateWindows,
+      sectionFilter: { name: compiledFilter.name, label: compiledFilter.label, spec: compiledFilter.spec },
+      // Only FIRs not yet in the FIR library
+      newOnly,
+      // "scan" lists matching FIRs without downloading them
+      mode,
+      // Keys of the FIRs picked from scan job scanJobId; other matches are skipped
+      selectedKeys,
+      scanJobId,
+      // FIRs a targeted job looks up one by one, see parseFirTargets
+      targets,
+      // How long the ZIP is kept; null means RESULT_RETENTION_HOURS
+      retentionHours
+    },
     totalDownloaded: 0,
     currentPage: 0,
-    userIp: req.ip,
-    userAgent: req.get('User-Agent') || 'Unknown',
+    districts: districts.map(district => ({
+      ...district,
+      status: 'pending',
+      scanned: 0,
+      matched: 0,
+      downloaded: 0,
+      failed: 0
+    })),
+    // Only the owner and admins can see the job
+    ownerId: owner.id,
+    ownerName: owner.username,
+    userIp,
+    userAgent,
+    scheduleId,
+    notify,
+    // Absolute links in notifications point here
+    baseUrl,
     processingSpeed: 'Calculating...',
     estimatedTimeRemaining: 'Calculating...'
-  };
+  });
 
-  console.log(`✅ Job created: ${jobId} for IP: ${req.ip}`);
-  console.log(`📊 Parameters: ${fromDate} to ${toDate}, District: ${districtName} (${code})`);
+  serverLog.info(`✅ Job created: ${jobId} for ${owner.username}${scheduleId ? ` (schedule ${scheduleId})` : ` (IP: ${userIp})`}`);
+  serverLog.info(`📊 Parameters: ${portal.name}, ${fromDate} to ${toDate}, Districts: ${districts.map(d => `${d.name} (${d.code})`).join(', ')}, Filter: ${compiledFilter.label}, Mode: ${mode}${selectedKeys ? ` (${selectedKeys.length} selected FIRs)` : ''}`);
 
-  // Start the job in background
-  extractAndDownloadFIRs(fromDate, toDate, code, jobId)
-    .then(zipPath => {
-      jobs[jobId].status = 'completed';
-      jobs[jobId].progress = `🎉 Completed! Downloaded ${jobs[jobId].totalDownloaded} animal protection law FIRs. Ready for download.`;
-      jobs[jobId].zipPath = zipPath;
-      jobs[jobId].completedAt = new Date();
-      
-      // Schedule cleanup after 30 minutes
-      scheduleJobCleanup(jobId, 30);
-      
-      console.log(`✅ Job ${jobId} completed successfully`);
-    })
-    .catch(error => {
-      jobs[jobId].status = 'failed';
-      jobs[jobId].progress = `❌ Failed: ${error.message}`;
-      jobs[jobId].error = error.message;
-      jobs[jobId].failedAt = new Date();
-      
-      // Still schedule cleanup for failed jobs (shorter time)
-      scheduleJobCleanup(jobId, 5);
-      
-      console.error(`❌ Job ${jobId} failed: ${error.message}`);
-    });
+  jobStats.recordCreated();
+  // The queue starts the job in the background once a browser is free
+  queueJob(jobId);
+  return jobId;
+}
+
+// Start FIR extraction job
+app.post("/start-fir-job", async (req, res) => {
+  serverLog.info(`📥 Received request: POST /start-fir-job from ${req.ip}`);
+  // The webhook secret must not end up in the server log
+  serverLog.info(`📋 Body: ${JSON.stringify(req.body, (key, value) => (key === 'webhookSecret' ? '[redacted]' : value))}`);
+  
+  const { fromDate, toDate, districtName, districtNames, sectionFilter, notify, newOnly, mode = 'download', targets, retentionHours } = req.body;
+  const requestedDistricts = districtNames !== undefined ? districtNames : districtName;
+
+  let portal;
+  try {
+    portal = getPortalAdapter(req.body.portal || DEFAULT_PORTAL);
+  } catch (error) {
+    serverLog.info(`❌ ${error.message}`);
+    return res.status(400).json({
+      error: error.message
+    });
+  }
+
+  if (!JOB_MODES.includes(mode)) {
+    serverLog.info(`❌ Invalid mode: ${mode}`);
+    return res.status(400).json({
+      error: `Invalid mode "${mode}". Use ${JOB_MODES.join(' or ')}.`
+    });
+  }
+
+  let dateWindows = [];
+  let districts;
+  let compiledFilter;
+  let firTargets = null;
+  if (mode === 'targeted') {
+    try {
+      firTargets = parseFirTargets(targets, portal);
+    } catch (error) {
+      serverLog.info(`❌ Invalid targets: ${error.message}`);
+      return res.status(400).json({
+        error: `Invalid targets: ${error.message}`
+      });
+    }
+    districts = firTargets
+      .map(target => target.district)
+      .filter((district, idx, all) => all.findIndex(d => d.name === district.name) === idx);
+    compiledFilter = { name: 'targeted', label: `${firTargets.length} requested FIRs`, spec: null };
+  } else {
+    if (!fromDate || !toDate || !requestedDistricts) {
+      serverLog.info("❌ Missing required parameters");
+      return res.status(400).json({
+        error: "Required parameters: fromDate, toDate, districtName"
+      });
+    }
+
+    const { error: dateError, dateWindows: plannedWindows } = planJobWindows(fromDate, toDate, portal);
+    if (dateError) {
+      serverLog.info(`❌ Invalid date range: ${dateError}`);
+      return res.status(400).json({
+        error: dateError
+      });
+    }
+
+    dateWindows = plannedWindows;
+
+    try {
+      districts = resolveDistricts(requestedDistricts, portal);
+    } catch (error) {
+      serverLog.info(`❌ Invalid district: ${requestedDistricts}`);
+      return res.status(400).json({
+        error: error.message
+      });
+    }
+
+    const scansError = checkWindowScans(dateWindows, districts);
+    if (scansError) {
+      serverLog.info(`❌ Job too large: ${scansError}`);
+      return res.status(400).json({
+        error: scansError
+      });
+    }
+
+    try {
+      // Regex rules can backtrack for minutes on one row, so only admins get them
+      compiledFilter = compileSectionFilter(sectionFilter, { allowRegex: req.user.role === 'admin' });
+    } catch (error) {
+      serverLog.info(`❌ Invalid section filter: ${error.message}`);
+      return res.status(400).json({
+        error: `Invalid section filter: ${error.message}`
+      });
+    }
+  }
+
+  let notifyTargets;
+  try {
+    notifyTargets = parseNotifyTargets(notify);
+  } catch (error) {
+    serverLog.info(`❌ Invalid notification targets: ${error.message}`);
+    return res.status(400).json({
+      error: `Invalid notify: ${error.message}`
+    });
+  }
+
+  let keepHours;
+  try {
+    keepHours = parseRetentionHours(retentionHours, MAX_RESULT_RETENTION_HOURS);
+  } catch (error) {
+    serverLog.info(`❌ ${error.message}`);
+    return res.status(400).json({
+      error: error.message
+    });
+  }
+
+  const quotaError = checkJobQuota(req.user);
+  if (quotaError) {
+    serverLog.info(`❌ Quota exceeded for ${req.user.username}: ${quotaError}`);
+    return res.status(429).json({
+      error: quotaError
+    });
+  }
+
+  const jobId = createExtractionJob({
+    portal,
+    fromDate: firTargets ? null : fromDate,
+    toDate: firTargets ? null : toDate,
+    dateWindows,
+    districts,
+    compiledFilter,
+    newOnly: Boolean(newOnly),
+    mode,
+    targets: firTargets,
+    retentionHours: keepHours,
+    owner: req.user,
+    userIp: req.ip,
+    userAgent: req.get('User-Agent') || 'Unknown',
+    notify: notifyTargets,
+    baseUrl: getPublicBaseUrl(req)
+  });
+  auth.recordJobStart(req.user.id);
+  const queued = jobQueue.position(jobId);
 
   res.json({
     jobId,
-    status: 'started',
-    message: 'FIR extraction job started successfully. Use the jobId to check status.',
+    status: jobStore.get(jobId).status,
+    queuePosition: queued ? queued.position : null,
+    estimatedStartAt: queued ? queued.estimatedStartAt : null,
+    mode,
+    portal: portal.name,
+    sectionFilter: compiledFilter.label,
+    districts: districts.map(d => d.name),
+    dateWindows,
+    retentionHours: keepHours || RESULT_RETENTION_HOURS,
+    message: mode === 'scan'
+      ? 'FIR scan job started successfully. Matching FIRs will be listed at /jobs/{jobId}/scan-results.'
+      : mode === 'targeted'
+        ? `Lookup of ${firTargets.length} FIRs started successfully. Use the jobId to check status.`
+        : 'FIR extraction job started successfully. Use the jobId to check status.',
     estimatedTime: 'This process typically takes 5-30 minutes depending on the number of records.'
   });
-  console.log(`📤 Response sent to client with jobId: ${jobId}`);
+  serverLog.info(`📤 Response sent to client with jobId: ${jobId}`);
+});
+
+// Resume a failed or interrupted job from its last checkpoint
+app.post("/jobs/:jobId/resume", (req, res) => {
+  serverLog.info(`📥 Received request: POST /jobs/${req.params.jobId}/resume from ${req.ip}`);
+
+  const job = getVisibleJob(req, req.params.jobId);
+  if (!job) {
+    serverLog.info(`❌ Job not found: ${req.params.jobId}`);
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (!RESUMABLE_STATUSES.includes(job.status)) {
+    serverLog.info(`❌ Job ${job.id} cannot be resumed from status ${job.status}`);
+    return res.status(400).json({
+      error: `Only failed, interrupted or paused jobs can be resumed (current status: ${job.status}).`
+    });
+  }
+
+  const quotaError = checkJobQuota(req.user, { newJob: false });
+  if (quotaError) {
+    serverLog.info(`❌ Quota exceeded for ${req.user.username}: ${quotaError}`);
+    return res.status(429).json({
+      error: quotaError
+    });
+  }
+
+  const resumeFrom = getResumeCheckpoint(job);
+  const resumedFromPage = resumeFrom ? resumeFrom.pageIndex : 1;
+  const resumedFromDistrict = job.params.districts
+    ? job.params.districts[resumeFrom ? resumeFrom.districtIndex || 0 : 0].name
+    : job.params.districtName;
+  const alreadyDownloaded = resumeFrom ? Object.keys(resumeFrom.downloaded).length : 0;
+  const resumePosition = job.params.mode === 'targeted'
+    ? describeCheckpointPosition(resumeFrom || { targetIndex: 0 }, job)
+    : `${resumedFromDistrict} from page ${resumedFromPage}`;
+
+  cancelJobCleanup(job.id);
+  jobStore.update(job.id, {
+    progress: `♻️ Resuming ${resumePosition} (${alreadyDownloaded} files already downloaded)...`,
+    error: null,
+    resumedAt: new Date(),
+    resumeCount: (job.resumeCount || 0) + 1
+  });
+
+  queueJob(job.id);
+  const queued = jobQueue.position(job.id);
+
+  res.json({
+    jobId: job.id,
+    status: jobStore.get(job.id).status,
+    queuePosition: queued ? queued.position : null,
+    resumedFromDistrict,
+    resumedFromPage,
+    resumedFromTarget: resumeFrom && resumeFrom.targetIndex !== undefined ? resumeFrom.targetIndex + 1 : null,
+    alreadyDownloaded,
+    message: 'FIR extraction job resumed. Use the jobId to check status.'
+  });
+  serverLog.info(`♻️ Job ${job.id} resumed at ${resumePosition}`);
+});
+
+// Pause a running job after the current FIR; it can be continued with /resume
+app.post("/jobs/:jobId/pause", (req, res) => {
+  serverLog.info(`📥 Received request: POST /jobs/${req.params.jobId}/pause from ${req.ip}`);
+
+  const job = getVisibleJob(req, req.params.jobId);
+  if (!job) {
+    serverLog.info(`❌ Job not found: ${req.params.jobId}`);
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (job.status !== 'started' && job.status !== 'running') {
+    serverLog.info(`❌ Job ${job.id} cannot be paused from status ${job.status}`);
+    return res.status(400).json({
+      error: `Only running jobs can be paused (current status: ${job.status}).`
+    });
+  }
+
+  jobControls[job.id] = { action: 'pause', requestedAt: new Date() };
+  jobStore.update(job.id, { status: 'pausing' });
+  updateJobProgress(job.id, '⏸️ Pausing after the current FIR...');
+
+  // The expiry is set once the job has paused; this is how long it will be kept
+  const keepHours = getPausedRetentionMinutes(job) / 60;
+  res.json({
+    jobId: job.id,
+    status: 'pausing',
+    keptForHours: keepHours,
+    message: `The job will pause after the current FIR and is then kept for ${keepHours} hours. Use /jobs/:jobId/resume to continue.`
+  });
+});
+
+// Cancel a job. Running jobs stop after the current FIR; with partialZip the
+// files downloaded so far are still zipped for download.
+app.post("/jobs/:jobId/cancel", async (req, res) => {
+  serverLog.info(`📥 Received request: POST /jobs/${req.params.jobId}/cancel from ${req.ip}`);
+
+  const job = getVisibleJob(req, req.params.jobId);
+  if (!job) {
+    serverLog.info(`❌ Job not found: ${req.params.jobId}`);
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  const partialZip = Boolean(req.body && req.body.partialZip);
+
+  if (isJobActive(job) && job.status !== 'queued') {
+    if (job.status === 'cancelling') {
+      return res.status(400).json({ error: 'The job is already being cancelled.' });
+    }
+    // A pending pause becomes a cancel
+    jobControls[job.id] = { action: 'cancel', partialZip, requestedAt: new Date() };
+    jobStore.update(job.id, { status: 'cancelling' });
+    updateJobProgress(job.id, '⏹️ Cancelling after the current FIR...');
+    return res.json({
+      jobId: job.id,
+      status: 'cancelling',
+      partialZip,
+      message: 'The job will stop after the current FIR.'
+    });
+  }
+
+  if (job.status !== 'queued' && !RESUMABLE_STATUSES.includes(job.status)) {
+    serverLog.info(`❌ Job ${job.id} cannot be cancelled from status ${job.status}`);
+    return res.status(400).json({
+      error: `Only queued, running, paused, failed or interrupted jobs can be cancelled (current status: ${job.status}).`
+    });
+  }
+
+  // Queued and stopped jobs are cancelled right away, zipping whatever is on disk
+  jobQueue.remove(job.id);
+  cancelJobCleanup(job.id);
+  let zipPath = null;
+  let result = null;
+  if (partialZip && fs.existsSync(getJobDownloadPath(job.id))) {
+    try {
+      if (job.params.mode === 'targeted') {
+        writeTargetReport(getJobDownloadPath(job.id), job.targetResults || job.params.targets.map(createTargetResult), { jobId: job.id, partial: true });
+        zipPath = await scraper.zipJobDirectory(job.id);
+      } else {
+        const districts = job.params.districts || [{ name: job.params.districtName, code: job.params.districtCode }];
+        zipPath = await scraper.packageJobFiles(job.id, {
+          fromDate: job.params.fromDate,
+          toDate: job.params.toDate,
+          districts,
+          districtEntries: districts.map((district) => readManifestEntries(path.join(getJobDownloadPath(job.id), getDistrictFolderName(district)))),
+          sectionFilterLabel: job.params.sectionFilter.label,
+          partial: true
+        });
+      }
+      result = await storeJobResult(job.id, zipPath);
+    } catch (error) {
+      serverLog.error(`❌ Could not create partial ZIP for job ${job.id}: ${error.message}`);
+      return res.status(500).json({ error: `Could not create partial ZIP: ${error.message}` });
+    }
+  }
+  markJobCancelled(job.id, result);
+
+  res.json({
+    jobId: job.id,
+    status: 'cancelled',
+    partialZip: Boolean(result),
+    message: result ? 'Job cancelled. The partial ZIP is ready for download.' : 'Job cancelled.'
+  });
+});
+
+// Matching FIRs found by a scan job, with whether the FIR library already has them
+app.get("/jobs/:jobId/scan-results", (req, res) => {
+  serverLog.info(`📥 Received request: GET /jobs/${req.params.jobId}/scan-results from ${req.ip}`);
+
+  const job = getVisibleJob(req, req.params.jobId);
+  if (!job) {
+    serverLog.info(`❌ Job not found: ${req.params.jobId}`);
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (job.params.mode !== 'scan') {
+    return res.status(400).json({ error: 'Only scan jobs have scan results.' });
+  }
+  if (!job.scanResults) {
+    return res.status(409).json({ error: `The scan has not finished yet (status: ${job.status}).` });
+  }
+
+  res.json({
+    jobId: job.id,
+    status: job.status,
+    sectionFilter: job.params.sectionFilter.label,
+    fromDate: job.params.fromDate,
+    toDate: job.params.toDate,
+    total: job.scanResults.length,
+    results: job.scanResults.map((result) => ({ ...result, inLibrary: Boolean(firLibrary.get(result.key)) }))
+  });
+});
+
+// Downloads FIRs picked from a scan job's results (all of them without keys).
+// The new job searches the scan's date range again, only in districts with
+// picked FIRs, and skips every other match.
+app.post("/jobs/:jobId/download", (req, res) => {
+  serverLog.info(`📥 Received request: POST /jobs/${req.params.jobId}/download from ${req.ip}`);
+
+  const scanJob = getVisibleJob(req, req.params.jobId);
+  if (!scanJob) {
+    serverLog.info(`❌ Job not found: ${req.params.jobId}`);
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (scanJob.params.mode !== 'scan' || !scanJob.scanResults) {
+    return res.status(400).json({ error: 'Only finished scan jobs can be downloaded from.' });
+  }
+
+  const { keys, notify, retentionHours } = req.body || {};
+  if (keys !== undefined && (!Array.isArray(keys) || keys.length === 0)) {
+    return res.status(400).json({ error: 'keys must be a non-empty list of FIR keys from the scan results.' });
+  }
+  const resultsByKey = new Map(scanJob.scanResults.map((result) => [result.key, result]));
+  const selectedKeys = keys ? [...new Set(keys.map(String))] : [...resultsByKey.keys()];
+  const unknownKeys = selectedKeys.filter((key) => !resultsByKey.has(key));
+  if (unknownKeys.length > 0) {
+    return res.status(400).json({ error: `Not in the scan results: ${unknownKeys.join(', ')}` });
+  }
+  if (selectedKeys.length === 0) {
+    return res.status(400).json({ error: 'The scan found no FIRs to download.' });
+  }
+
+  let notifyTargets;
+  let keepHours;
+  try {
+    notifyTargets = parseNotifyTargets(notify);
+  } catch (error) {
+    serverLog.info(`❌ Invalid notification targets: ${error.message}`);
+    return res.status(400).json({ error: `Invalid notify: ${error.message}` });
+  }
+  try {
+    keepHours = parseRetentionHours(retentionHours, MAX_RESULT_RETENTION_HOURS);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const quotaError = checkJobQuota(req.user);
+  if (quotaError) {
+    serverLog.info(`❌ Quota exceeded for ${req.user.username}: ${quotaError}`);
+    return res.status(429).json({
+      error: quotaError
+    });
+  }
+
+  const { params } = scanJob;
+  let portal;
+  try {
+    portal = getPortalAdapter(params.portal || LEGACY_PORTAL);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  const pickedDistricts = new Set(selectedKeys.map((key) => resultsByKey.get(key).scanDistrict));
+  const districts = params.districts.filter((district) => pickedDistricts.has(district.name));
+  const jobId = createExtractionJob({
+    portal,
+    fromDate: params.fromDate,
+    toDate: params.toDate,
+    dateWindows: params.dateWindows,
+    districts,
+    compiledFilter: compileSectionFilter(params.sectionFilter.spec),
+    selectedKeys,
+    scanJobId: scanJob.id,
+    retentionHours: keepHours,
+    owner: req.user,
+    userIp: req.ip,
+    userAgent: req.get('User-Agent') || 'Unknown',
+    notify: notifyTargets,
+    baseUrl: getPublicBaseUrl(req)
+  });
+  auth.recordJobStart(req.user.id);
+  const queued = jobQueue.position(jobId);
+
+  res.json({
+    jobId,
+    status: jobStore.get(jobId).status,
+    queuePosition: queued ? queued.position : null,
+    estimatedStartAt: queued ? queued.estimatedStartAt : null,
+    scanJobId: scanJob.id,
+    selected: selectedKeys.length,
+    districts: districts.map(d => d.name),
+    message: `Download job for ${selectedKeys.length} FIRs started successfully. Use the jobId to check status.`
+  });
+});
+
+// Library PDFs are visible to the users whose jobs added or reused them;
+// admins see all. PDFs stored before accounts existed are admin-only.
+function canSeeLibraryRecord(user, record) {
+  return user.role === 'admin' || (record.ownerIds || []).includes(user.id);
+}
+
+// Size of the cross-job FIR library, per district
+app.get("/library", (req, res) => {
+  res.json(firLibrary.stats((record) => canSeeLibraryRecord(req.user, record)));
+});
+
+// One PDF from the FIR library, shown inline
+app.get("/library/pdf/:key", (req, res) => {
+  const record = firLibrary.get(req.params.key);
+  if (!record || !canSeeLibraryRecord(req.user, record)) {
+    return res.status(404).json({ error: 'FIR not found in the library' });
+  }
+  res.type('application/pdf');
+  res.set('Content-Disposition', `inline; filename="${encodeURIComponent(path.basename(record.fileName))}"`);
+  res.sendFile(firLibrary.filePath(record));
+});
+
+// Full-text search over downloaded FIR PDFs
+app.get("/search", (req, res) => {
+  serverLog.info(`📥 Received request: GET /search from ${req.ip}`);
+
+  const { q, district, fromDate, toDate, act } = req.query;
+  if (!q || normalizeText(q).trim().length < 2) {
+    return res.status(400).json({ error: 'Query parameter q must have at least 2 characters.' });
+  }
+  for (const [name, value] of [['fromDate', fromDate], ['toDate', toDate]]) {
+    if (value && validateDateRange(value, value)) {
+      return res.status(400).json({ error: `Invalid ${name}. Use DD/MM/YYYY.` });
+    }
+  }
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+  let found;
+  try {
+    found = firSearch.search({ q, district, fromDate, toDate, act, limit, visible: (record) => canSeeLibraryRecord(req.user, record) });
+  } catch (error) {
+    return res.status(400).json({ error: `Invalid act filter: ${error.message}` });
+  }
+
+  const baseUrl = getPublicBaseUrl(req);
+  res.json({
+    q,
+    total: found.total,
+    results: found.results.map((result) => ({
+      ...result,
+      pdfUrl: `${baseUrl}/library/pdf/${encodeURIComponent(result.key)}`
+    }))
+  });
+});
+
+// Counts per police station, act, section and registration date as a
+// printable page, or as JSON with ?format=json. report.html in the ZIP is the
+// same page as of when the job finished.
+app.get("/jobs/:jobId/report", (req, res) => {
+  serverLog.info(`📥 Received request: GET /jobs/${req.params.jobId}/report from ${req.ip}`);
+
+  const job = getVisibleJob(req, req.params.jobId);
+  if (!job) {
+    serverLog.info(`❌ Job not found: ${req.params.jobId}`);
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  const entries = collectReportEntries(job);
+  if (!entries) {
+    return res.status(404).json({ error: 'The files of this job are no longer on the server.' });
+  }
+  const report = buildJobReport(entries, reportMeta(job, job.status !== 'completed'));
+  if (req.query.format === 'json') {
+    return res.json(report);
+  }
+  res.type('html').send(renderReportHtml(report));
+});
+
+// The job's structured log: JSON entries at ?level= and above (default info),
+// the last ?limit= of them, or readable lines with ?format=text. files lists
+// job.log and the failure snapshots, served by the route below.
+app.get("/jobs/:jobId/logs", (req, res) => {
+  serverLog.info(`📥 Received request: GET /jobs/${req.params.jobId}/logs from ${req.ip}`);
+
+  const job = getVisibleJob(req, req.params.jobId);
+  if (!job) {
+    serverLog.info(`❌ Job not found: ${req.params.jobId}`);
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  const level = req.query.level || 'info';
+  if (!jobLogs.LEVELS.includes(level)) {
+    return res.status(400).json({ error: `level must be one of ${jobLogs.LEVELS.join(', ')}.` });
+  }
+  const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : null;
+  if (limit !== null && !(limit > 0)) {
+    return res.status(400).json({ error: 'limit must be a positive number.' });
+  }
+
+  const entries = jobLogs.read(job.id, { level, limit });
+  if (req.query.format === 'text') {
+    return res.type('text/plain').send(entries.map((entry) => `${entry.time} ${formatLogLine(entry)}\n`).join(''));
+  }
+  res.json({ jobId: job.id, level, entries, files: jobLogs.listFiles(job.id) });
+});
+
+// job.log or a failure snapshot. Always sent as an attachment: the HTML
+// snapshots are portal pages and must not run on this site.
+app.get("/jobs/:jobId/logs/:fileName", (req, res) => {
+  const job = getVisibleJob(req, req.params.jobId);
+  if (!job || !jobLogs.listFiles(job.id).includes(req.params.fileName)) {
+    return res.status(404).json({ error: 'Log file not found' });
+  }
+  res.download(path.join(jobLogs.diagnosticsDir(job.id), req.params.fileName));
+});
+
+// Notification targets of a job and every delivery attempt so far
+app.get("/jobs/:jobId/notifications", (req, res) => {
+  const job = getVisibleJob(req, req.params.jobId);
+  if (!job) {
+    serverLog.info(`❌ Job not found: ${req.params.jobId}`);
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json({
+    jobId: job.id,
+    notify: describeNotifyTargets(job.notify),
+    deliveries: job.notificationLog || []
+  });
+});
+
+// List the named act/section presets accepted as sectionFilter
+app.get("/section-presets", (req, res) => {
+  res.json(listSectionPresets());
+});
+
+// List the portals jobs can search, with the district names each accepts
+app.get("/portals", (req, res) => {
+  res.json(Object.values(portalAdapters).map((portal) => ({
+    name: portal.name,
+    label: portal.label,
+    default: portal.name === DEFAULT_PORTAL,
+    maxRangeDays: portal.maxRangeDays,
+    supportsTargets: portal.supportsTargets,
+    districts: Object.keys(portal.districts)
+  })));
 });
 
 // Check job status
 app.get("/job-status/:jobId", (req, res) => {
-  console.log(`📥 Received request: GET /job-status/${req.params.jobId} from ${req.ip}`);
+  serverLog.info(`📥 Received request: GET /job-status/${req.params.jobId} from ${req.ip}`);
   
-  const job = jobs[req.params.jobId];
+  const job = getVisibleJob(req, req.params.jobId);
   if (!job) {
-    console.log(`❌ Job not found: ${req.params.jobId}`);
+    serverLog.info(`❌ Job not found: ${req.params.jobId}`);
     return res.status(404).json({ error: 'Job not found' });
   }
   
-  console.log(`📊 Job ${req.params.jobId} status: ${job.status} - ${job.progress}`);
-  res.json({
-    id: job.id,
-    status: job.status,
-    progress: job.progress,
-    totalDownloaded: job.totalDownloaded || 0,
-    currentPage: job.currentPage || 0,
-    createdAt: job.createdAt,
-    lastUpdated: job.lastUpdated,
-    params: job.params,
-    processingSpeed: job.processingSpeed || 'Calculating...',
-    estimatedTimeRemaining: job.estimatedTimeRemaining || 'Calculating...'
+  serverLog.info(`📊 Job ${req.params.jobId} status: ${job.status} - ${job.progress}`);
+  res.json(buildJobStatus(job));
+});
+
+const FINISHED_STATUSES = ['completed', 'failed', 'interrupted', 'paused', 'cancelled'];
+
+// Stream job updates as Server-Sent Events: a "status" snapshot first, then
+// "progress", "file" or "match" and finally "completed", "failed", "paused" or "cancelled"
+app.get("/jobs/:jobId/events", (req, res) => {
+  serverLog.info(`📥 Received request: GET /jobs/${req.params.jobId}/events from ${req.ip}`);
+
+  const job = getVisibleJob(req, req.params.jobId);
+  if (!job) {
+    serverLog.info(`❌ Job not found: ${req.params.jobId}`);
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop proxies such as nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  send('status', buildJobStatus(job));
+  if (FINISHED_STATUSES.includes(job.status)) {
+    return res.end();
+  }
+
+  const unsubscribe = jobEvents.subscribe(job.id, ({ type, data }) => {
+    send(type, data);
+    if (FINISHED_STATUSES.includes(type)) {
+      res.end();
+    }
+  });
+  // Comment lines keep idle connections from being closed by proxies
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    serverLog.info(`🔌 Events stream closed for job ${job.id} (${jobEvents.subscriberCount(job.id)} still listening)`);
   });
 });
 
-// Download ZIP file for completed job
-app.get("/download-job-zip/:jobId", (req, res) => {
-  console.log(`📥 Received request: GET /download-job-zip/${req.params.jobId} from ${req.ip}`);
+// Download ZIP file for completed job, sent from the local archive or
+// redirected to a short-lived link into the S3 bucket
+app.get("/download-job-zip/:jobId", async (req, res) => {
+  serverLog.info(`📥 Received request: GET /download-job-zip/${req.params.jobId} from ${req.ip}`);
   
-  const job = jobs[req.params.jobId];
+  const job = getVisibleJob(req, req.params.jobId);
   if (!job) {
-    console.log(`❌ Job not found: ${req.params.jobId}`);
+    serverLog.info(`❌ Job not found: ${req.params.jobId}`);
     return res.status(404).send("Job not found.");
   }
   
-  if (job.status !== 'completed') {
-    console.log(`❌ Job not completed: ${req.params.jobId}`);
+  if (job.params.mode === 'scan') {
+    return res.status(400).send("Scan jobs do not download FIRs. Use /jobs/:jobId/scan-results instead.");
+  }
+
+  // Cancelled jobs may have a partial ZIP
+  if (job.status !== 'completed' && job.status !== 'cancelled') {
+    serverLog.info(`❌ Job not completed: ${req.params.jobId}`);
     return res.status(400).send("Job not completed yet.");
   }
   
-  if (!job.zipPath || !fs.existsSync(job.zipPath)) {
-    console.log(`❌ ZIP file not found: ${job.zipPath}`);
+  const filterSlug = job.params.sectionFilter.name.replace(/[^a-z0-9]+/gi, '_');
+  const partialPrefix = job.status === 'cancelled' ? 'partial_' : '';
+  const districtSlug = job.params.districtName.replace(/[^A-Za-z0-9-]+/g, '_');
+  // Targeted jobs have no date range; their job id keeps the names apart
+  const rangeSlug = job.params.fromDate
+    ? `${job.params.fromDate.replace(/\//g, '-')}_to_${job.params.toDate.replace(/\//g, '-')}`
+    : job.id;
+  const fileName = `${partialPrefix}${filterSlug}_firs_${districtSlug}_${rangeSlug}.zip`;
+
+  let download = null;
+  try {
+    if (isStoredHere(job.result) && await resultStorage.exists(job.result)) {
+      download = await resultStorage.getDownload(job.result, fileName);
+    } else if (!job.result && job.zipPath && fs.existsSync(job.zipPath)) {
+      download = { path: job.zipPath };
+    }
+  } catch (error) {
+    serverLog.error(`❌ Result storage unavailable: ${error.message}`);
+    return res.status(502).send("The ZIP storage could not be reached.");
+  }
+  if (!download) {
+    serverLog.info(`❌ ZIP file not found for job ${job.id}`);
     return res.status(404).send("ZIP file not found.");
   }
-  
-  console.log(`📦 Sending ZIP file: ${job.zipPath}`);
-  
-  // Send file and mark it for deletion (files will be auto-deleted after 30 minutes from completion)
-  res.download(job.zipPath, `animal_protection_firs_${job.params.districtName.replace(/ /g, '_')}_${job.params.fromDate.replace(/\//g, '-')}_to_${job.params.toDate.replace(/\//g, '-')}.zip`, (err) => {
+
+  // Update job to show it's been downloaded
+  const recordDownload = () => {
+    const downloadedJob = jobStore.get(req.params.jobId);
+    if (downloadedJob) {
+      jobStore.update(req.params.jobId, {
+        lastDownloaded: new Date(),
+        downloadCount: (downloadedJob.downloadCount || 0) + 1
+      });
+    }
+  };
+
+  if (download.url) {
+    serverLog.info(`📦 Redirecting to stored ZIP: ${job.result.key}`);
+    recordDownload();
+    return res.redirect(download.url);
+  }
+
+  serverLog.info(`📦 Sending ZIP file: ${download.path}`);
+  res.download(download.path, fileName, (err) => {
     if (err) {
-      console.error(`❌ Error sending ZIP file: ${err.message}`);
-      res.status(500).send("Error downloading zip file.");
-    } else {
-      console.log(`✅ ZIP file sent successfully for job ${req.params.jobId}`);
-      
-      // Update job to show it's been downloaded
-      if (jobs[req.params.jobId]) {
-        jobs[req.params.jobId].lastDownloaded = new Date();
-        jobs[req.params.jobId].downloadCount = (jobs[req.params.jobId].downloadCount || 0) + 1;
+      serverLog.error(`❌ Error sending ZIP file: ${err.message}`);
+      if (!res.headersSent) {
+        res.status(500).send("Error downloading zip file.");
       }
+    } else {
+      serverLog.info(`✅ ZIP file sent successfully for job ${req.params.jobId}`);
+      recordDownload();
     }
   });
 });
 
-// Get all jobs (admin/debug)
+// The user's own jobs; admins get every job with the client IP
 app.get("/jobs", (req, res) => {
-  const jobSummaries = Object.values(jobs).map(job => ({
+  const isAdmin = req.user.role === 'admin';
+  const jobSummaries = jobStore.list().filter(job => canAccess(req.user, job)).map(job => ({
     id: job.id,
     status: job.status,
     progress: job.progress,
     totalDownloaded: job.totalDownloaded || 0,
     createdAt: job.createdAt,
-    userIp: job.userIp,
+    owner: job.ownerName || null,
+    ...(isAdmin ? { userIp: job.userIp } : {}),
     params: job.params,
     processingSpeed: job.processingSpeed || 'N/A'
   }));
   res.json(jobSummaries);
 });
 
+// Admin dashboard (public/admin.html). Cancel and resume use the job routes
+// above, which admins can call for any job.
+const MAX_RETENTION_EXTENSION_MINUTES = 7 * 24 * 60;
+
+// Jobs newest first, optionally filtered by ?status= and ?district=
+app.get("/admin/jobs", requireAdmin, (req, res) => {
+  const { status, district } = req.query;
+  const districtName = district ? String(district).trim().toUpperCase() : null;
+  const jobs = jobStore.list()
+    .filter((job) => !status || job.status === status)
+    .filter((job) => !districtName || (job.params.districts || [{ name: job.params.districtName }])
+      .some((d) => d.name.toUpperCase() === districtName))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .map((job) => ({
+      id: job.id,
+      status: job.status,
+      mode: job.params.mode || 'download',
+      portal: job.params.portal || LEGACY_PORTAL,
+      owner: job.ownerName || null,
+      userIp: job.userIp,
+      scheduleId: job.scheduleId || null,
+      progress: job.progress,
+      districtName: job.params.districtName,
+      districts: (job.params.districts || []).map((d) => d.name),
+      fromDate: job.params.fromDate,
+      toDate: job.params.toDate,
+      sectionFilter: job.params.sectionFilter.label,
+      totalDownloaded: job.totalDownloaded || 0,
+      failedCount: countFailedFIRs(job),
+      currentDistrict: job.currentDistrict || null,
+      currentPage: job.currentPage || 0,
+      processingSpeed: job.processingSpeed || null,
+      createdAt: job.createdAt,
+      lastUpdated: job.lastUpdated,
+      expiresAt: job.expiresAt || null,
+      downloadCount: job.downloadCount || 0,
+      lastDownloaded: job.lastDownloaded || null,
+      diskBytes: getJobDiskUsage(job),
+      zipReady: isZipReady(job),
+      resumable: RESUMABLE_STATUSES.includes(job.status),
+      active: isJobActive(job)
+    }));
+  res.json({ total: jobs.length, jobs });
+});
+
+// Summary cards: jobs per day, files downloaded and failure rate over
+// ?days= (default 14), plus what is running and stored right now
+app.get("/admin/stats", requireAdmin, (req, res) => {
+  const days = Math.min(365, Math.max(1, parseInt(req.query.days, 10) || 14));
+  const statuses = {};
+  let diskBytes = 0;
+  jobStore.list().forEach((job) => {
+    statuses[job.status] = (statuses[job.status] || 0) + 1;
+    diskBytes += getJobDiskUsage(job);
+  });
+  res.json({
+    ...jobStats.summary(days),
+    current: {
+      jobs: jobStore.list().length,
+      statuses,
+      diskBytes,
+      queued: jobQueue.waitingJobIds().length
+    }
+  });
+});
+
+// Deletes a job's files and record right away; running jobs must be cancelled first
+app.delete("/admin/jobs/:jobId", requireAdmin, (req, res) => {
+  serverLog.info(`📥 Received request: DELETE /admin/jobs/${req.params.jobId} from ${req.ip}`);
+
+  const job = jobStore.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (isJobActive(job)) {
+    return res.status(409).json({ error: `Cancel the job before deleting it (current status: ${job.status}).` });
+  }
+
+  cancelJobCleanup(job.id);
+  deleteJobFiles(job);
+  jobStore.remove(job.id);
+  serverLog.info(`🗑️ ${req.user.username} deleted job ${job.id}`);
+  res.json({ id: job.id, deleted: true });
+});
+
+// Keeps a finished job's files for { minutes } (default 60) longer, up to
+// MAX_RESULT_RETENTION_HOURS from now
+app.post("/admin/jobs/:jobId/extend", requireAdmin, (req, res) => {
+  serverLog.info(`📥 Received request: POST /admin/jobs/${req.params.jobId}/extend from ${req.ip}`);
+
+  const job = jobStore.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (isJobActive(job) || !job.expiresAt) {
+    return res.status(400).json({ error: `Only finished jobs have a retention to extend (current status: ${job.status}).` });
+  }
+
+  const minutes = req.body && req.body.minutes !== undefined ? Number(req.body.minutes) : 60;
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_RETENTION_EXTENSION_MINUTES) {
+    return res.status(400).json({ error: `minutes must be a whole number from 1 to ${MAX_RETENTION_EXTENSION_MINUTES}.` });
+  }
+
+  let delayMinutes;
+  try {
+    delayMinutes = extendRetentionMinutes(job.expiresAt, minutes, MAX_RESULT_RETENTION_HOURS);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  scheduleJobCleanup(job.id, delayMinutes);
+  serverLog.info(`⏰ ${req.user.username} extended the retention of job ${job.id} by ${minutes} minutes`);
+  res.json({ id: job.id, expiresAt: jobStore.get(job.id).expiresAt });
+});
+
+// Prometheus text format. Admins can look at it in the browser; scrapers send
+// METRICS_TOKEN (or an admin API key) as their bearer token.
+app.get("/metrics", (req, res) => {
+  if (!req.metricsScraper && req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Only admins can do this.' });
+  }
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+// Scheduled extractions. A schedule stores a portal, a district set, a section filter,
+// a cron recurrence (Asia/Kolkata) and a relative date range such as
+// "yesterday"; each due run creates an ordinary queued job.
+const MAX_SCHEDULE_RUNS = 50;
+// Schedules may not fire more often than this
+const MIN_SCHEDULE_INTERVAL_MINUTES = parseInt(process.env.MIN_SCHEDULE_INTERVAL_MINUTES, 10) || 60;
+const SCHEDULE_CHECK_INTERVAL_MS = 30 * 1000;
+
+// Validates POST/PUT /schedules bodies. Returns { error } or { fields };
+// with an existing schedule, omitted fields keep their current values.
+// allowRegex is whether the section filter may use regex rules.
+function buildScheduleFields(body, existing = null, { allowRegex = false } = {}) {
+  const fields = {};
+
+  if (body.name !== undefined || !existing) {
+    const name = String(body.name || '').trim();
+    if (!name) {
+      return { error: 'Required parameter: name' };
+    }
+    fields.name = name;
+  }
+
+  let portal;
+  try {
+    portal = getPortalAdapter(body.portal || (existing && existing.portal) || (existing ? LEGACY_PORTAL : DEFAULT_PORTAL));
+  } catch (error) {
+    return { error: error.message };
+  }
+  if (body.portal !== undefined || !existing) {
+    fields.portal = portal.name;
+  }
+
+  // Districts are checked again when only the portal changes
+  const requestedDistricts = body.districtNames !== undefined ? body.districtNames : body.districtName;
+  const portalChanged = Boolean(existing) && body.portal !== undefined && portal.name !== (existing.portal || LEGACY_PORTAL);
+  if (requestedDistricts !== undefined || !existing || portalChanged) {
+    if (requestedDistricts === undefined && portalChanged) {
+      try {
+        fields.districts = resolveDistricts(existing.districts.map((d) => d.name), portal);
+      } catch (error) {
+        return { error: `${error.message} Send districtNames for the new portal.` };
+      }
+    } else {
+      if (!requestedDistricts) {
+        return { error: 'Required parameter: districtName or districtNames' };
+      }
+      try {
+        fields.districts = resolveDistricts(requestedDistricts, portal);
+      } catch (error) {
+        return { error: error.message };
+      }
+    }
+    fields.districtName = describeDistricts(fields.districts, portal);
+  }
+
+  if (body.sectionFilter !== undefined || !existing) {
+    try {
+      const compiledFilter = compileSectionFilter(body.sectionFilter, { allowRegex });
+      fields.sectionFilter = { name: compiledFilter.name, label: compiledFilter.label, spec: compiledFilter.spec };
+    } catch (error) {
+      return { error: `Invalid section filter: ${error.message}` };
+    }
+  }
+
+  if (body.cron !== undefined || !existing) {
+    try {
+      if (cronIntervalMinutes(body.cron) < MIN_SCHEDULE_INTERVAL_MINUTES) {
+        return { error: `Invalid cron: schedules may run at most every ${MIN_SCHEDULE_INTERVAL_MINUTES} minutes.` };
+      }
+    } catch (error) {
+      return { error: `Invalid cron: ${error.message}` };
+    }
+    fields.cron = String(body.cron).trim();
+  }
+
+  if (body.dateRange !== undefined || !existing) {
+    try {
+      const { fromDate, toDate } = resolveRelativeRange(body.dateRange);
+      const { error } = planJobWindows(fromDate, toDate, portal);
+      if (error) {
+        return { error };
+      }
+    } catch (error) {
+      return { error: error.message };
+    }
+    fields.dateRange = String(body.dateRange).trim();
+  }
+
+  if (body.notify !== undefined) {
+    try {
+      fields.notify = parseNotifyTargets(body.notify);
+    } catch (error) {
+      return { error: `Invalid notify: ${error.message}` };
+    }
+  }
+
+  if (body.newOnly !== undefined) {
+    fields.newOnly = Boolean(body.newOnly);
+  }
+
+  if (body.retentionHours !== undefined) {
+    try {
+      fields.retentionHours = parseRetentionHours(body.retentionHours, MAX_RESULT_RETENTION_HOURS);
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  // Today's run of the schedule stands in for all of them
+  const { fromDate, toDate } = resolveRelativeRange(fields.dateRange || existing.dateRange);
+  const { error: rangeError, dateWindows } = planJobWindows(fromDate, toDate, portal);
+  const scansError = rangeError || checkWindowScans(dateWindows, fields.districts || existing.districts);
+  if (scansError) {
+    return { error: scansError };
+  }
+
+  if (body.enabled !== undefined || !existing) {
+    fields.enabled = body.enabled === undefined ? true : Boolean(body.enabled);
+  }
+
+  return { fields };
+}
+
+// Records how a scheduled job ended in the schedule's run history
+function trackScheduledJob(scheduleId, jobId) {
+  const unsubscribe = jobEvents.subscribe(jobId, ({ type, data }) => {
+    if (!FINISHED_STATUSES.includes(type)) {
+      return;
+    }
+    const schedule = scheduleStore.get(scheduleId);
+    if (schedule) {
+      scheduleStore.update(scheduleId, {
+        runs: schedule.runs.map((run) => (run.jobId === jobId
+          ? { ...run, status: type, totalDownloaded: data.totalDownloaded, error: data.error || null }
+          : run))
+      });
+    }
+    // Paused jobs can still be resumed and finish later
+    if (type !== 'paused') {
+      unsubscribe();
+    }
+  });
+}
+
+// Starts one run of a schedule; trigger is "schedule" or "manual"
+function runSchedule(scheduleId, trigger) {
+  const schedule = scheduleStore.get(scheduleId);
+  const run = { at: new Date(), trigger };
+
+  try {
+    const portal = getPortalAdapter(schedule.portal || LEGACY_PORTAL);
+    const { fromDate, toDate } = resolveRelativeRange(schedule.dateRange, run.at);
+    const { error, dateWindows } = planJobWindows(fromDate, toDate, portal);
+    if (error) {
+      throw new Error(error);
+    }
+    const scansError = checkWindowScans(dateWindows, schedule.districts);
+    if (scansError) {
+      throw new Error(scansError);
+    }
+    // Runs count against the owner's quota like jobs they start themselves
+    const owner = schedule.ownerId ? auth.get(schedule.ownerId) : null;
+    if (schedule.ownerId && (!owner || owner.disabled)) {
+      throw new Error('The owner of this schedule no longer exists or is disabled.');
+    }
+    const quotaError = owner ? checkJobQuota(owner) : null;
+    if (quotaError) {
+      throw new Error(quotaError);
+    }
+    run.fromDate = fromDate;
+    run.toDate = toDate;
+    run.jobId = createExtractionJob({
+      portal,
+      fromDate,
+      toDate,
+      dateWindows,
+      districts: schedule.districts,
+      compiledFilter: schedule.sectionFilter,
+      newOnly: Boolean(schedule.newOnly),
+      retentionHours: schedule.retentionHours || null,
+      // Schedules from before accounts existed have no owner
+      owner: { id: schedule.ownerId || null, username: schedule.ownerName || 'scheduler' },
+      userIp: 'scheduler',
+      userAgent: `schedule ${schedule.id}`,
+      scheduleId: schedule.id,
+      notify: schedule.notify || null,
+      baseUrl: getPublicBaseUrl()
+    });
+    run.status = 'queued';
+    if (owner) {
+      auth.recordJobStart(owner.id);
+    }
+    trackScheduledJob(schedule.id, run.jobId);
+    serverLog.info(`⏰ Schedule ${schedule.id} (${schedule.name}) started job ${run.jobId} for ${fromDate} to ${toDate}`);
+  } catch (error) {
+    run.status = 'not-started';
+    run.error = error.message;
+    serverLog.error(`❌ Schedule ${schedule.id} (${schedule.name}) could not start a job: ${error.message}`);
+  }
+
+  const patch = {
+    lastRunAt: run.at,
+    runs: [run, ...(schedule.runs || [])].slice(0, MAX_SCHEDULE_RUNS)
+  };
+  if (trigger === 'schedule') {
+    patch.nextRunAt = nextCronRun(schedule.cron, run.at);
+  }
+  scheduleStore.update(schedule.id, patch);
+  return run;
+}
+
+// Runs every enabled schedule that is due. Runs missed while the server was
+// down happen once on startup rather than once per missed slot.
+function runDueSchedules() {
+  const now = new Date();
+  scheduleStore.list()
+    .filter((schedule) => schedule.enabled && schedule.nextRunAt && schedule.nextRunAt <= now)
+    .forEach((schedule) => runSchedule(schedule.id, 'schedule'));
+}
+
+// Adds the current status of each run's job while the job still exists
+function describeSchedule(schedule) {
+  return {
+    ...schedule,
+    portal: schedule.portal || LEGACY_PORTAL,
+    notify: describeNotifyTargets(schedule.notify),
+    runs: (schedule.runs || []).map((run) => {
+      const job = run.jobId && jobStore.get(run.jobId);
+      return job ? { ...run, status: job.status, totalDownloaded: job.totalDownloaded || 0 } : run;
+    })
+  };
+}
+
+app.get("/schedules", (req, res) => {
+  res.json(scheduleStore.list().filter((schedule) => canAccess(req.user, schedule)).map(describeSchedule));
+});
+
+app.post("/schedules", (req, res) => {
+  serverLog.info(`📥 Received request: POST /schedules from ${req.ip}`);
+
+  const { error, fields } = buildScheduleFields(req.body || {}, null, { allowRegex: req.user.role === 'admin' });
+  if (error) {
+    serverLog.info(`❌ Invalid schedule: ${error}`);
+    return res.status(400).json({ error });
+  }
+
+  const now = new Date();
+  const schedule = scheduleStore.save({
+    id: `sched_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    ...fields,
+    createdAt: now,
+    updatedAt: now,
+    createdBy: req.ip,
+    ownerId: req.user.id,
+    ownerName: req.user.username,
+    lastRunAt: null,
+    nextRunAt: fields.enabled ? nextCronRun(fields.cron, now) : null,
+    runs: []
+  });
+
+  serverLog.info(`⏰ Schedule created: ${schedule.id} (${schedule.name}), next run ${schedule.nextRunAt}`);
+  res.status(201).json(describeSchedule(schedule));
+});
+
+app.get("/schedules/:scheduleId", (req, res) => {
+  const schedule = getVisibleSchedule(req, req.params.scheduleId);
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  res.json(describeSchedule(schedule));
+});
+
+app.put("/schedules/:scheduleId", (req, res) => {
+  serverLog.info(`📥 Received request: PUT /schedules/${req.params.scheduleId} from ${req.ip}`);
+
+  const schedule = getVisibleSchedule(req, req.params.scheduleId);
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+
+  const { error, fields } = buildScheduleFields(req.body || {}, schedule, { allowRegex: req.user.role === 'admin' });
+  if (error) {
+    serverLog.info(`❌ Invalid schedule update: ${error}`);
+    return res.status(400).json({ error });
+  }
+
+  const updated = { ...schedule, ...fields };
+  const now = new Date();
+  scheduleStore.update(schedule.id, {
+    ...fields,
+    updatedAt: now,
+    nextRunAt: updated.enabled ? nextCronRun(updated.cron, now) : null
+  });
+
+  serverLog.info(`⏰ Schedule updated: ${schedule.id}`);
+  res.json(describeSchedule(scheduleStore.get(schedule.id)));
+});
+
+app.delete("/schedules/:scheduleId", (req, res) => {
+  serverLog.info(`📥 Received request: DELETE /schedules/${req.params.scheduleId} from ${req.ip}`);
+
+  if (!getVisibleSchedule(req, req.params.scheduleId)) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+
+  // Jobs already started by the schedule keep running
+  scheduleStore.remove(req.params.scheduleId);
+  serverLog.info(`🗑️ Schedule deleted: ${req.params.scheduleId}`);
+  res.json({ id: req.params.scheduleId, deleted: true });
+});
+
+// Start a run right away without changing the next scheduled run
+app.post("/schedules/:scheduleId/run", (req, res) => {
+  serverLog.info(`📥 Received request: POST /schedules/${req.params.scheduleId}/run from ${req.ip}`);
+
+  if (!getVisibleSchedule(req, req.params.scheduleId)) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+
+  const run = runSchedule(req.params.scheduleId, 'manual');
+  if (run.error) {
+    return res.status(400).json({ error: run.error, run });
+  }
+  res.json(run);
+});
+
 // Enhanced cleanup function
 function cleanupOldJobs() {
   const now = new Date();
   const maxAge = 2 * 60 * 60 * 1000; // 2 hours (backup cleanup)
   let cleanedCount = 0;
   
-  Object.keys(jobs).forEach(jobId => {
-    const job = jobs[jobId];
-    if (now - job.createdAt > maxAge) {
-      const jobDownloadPath = getJobDownloadPath(jobId);
-      if (fs.existsSync(jobDownloadPath)) {
-        fs.rmSync(jobDownloadPath, { recursive: true, force: true });
-        console.log(`🗑️ Backup cleanup - deleted job directory: ${jobDownloadPath}`);
-      }
-      
-      if (job.zipPath && fs.existsSync(job.zipPath)) {
-        fs.unlinkSync(job.zipPath);
-        console.log(`🗑️ Backup cleanup - deleted ZIP file: ${job.zipPath}`);
-      }
-      
-      delete jobs[jobId];
+  jobStore.list().forEach(job => {
+    // Retention extended from the admin dashboard outlasts the backup cleanup
+    const retained = job.expiresAt && new Date(job.expiresAt) > now;
+    if (!isJobActive(job) && !retained && now - job.createdAt > maxAge) {
+      deleteJobFiles(job);
+      jobStore.remove(job.id);
       cleanedCount++;
-      console.log(`🗑️ Backup cleanup - removed old job: ${jobId}`);
+      serverLog.info(`🗑️ Backup cleanup - removed old job: ${job.id}`);
     }
   });
+
+  // ZIPs and download directories whose job record is gone (e.g. lost before
+  // the job store was persistent) would otherwise stay on disk forever
+  const orphanZips = fs.readdirSync(__dirname).filter(name => {
+    const match = /^downloaded_firs_(.+)\.zip$/.exec(name);
+    return match && !jobStore.get(match[1]);
+  });
+  orphanZips.forEach(name => {
+    fs.unlinkSync(path.join(__dirname, name));
+    serverLog.info(`🗑️ Backup cleanup - deleted orphaned ZIP file: ${name}`);
+  });
+
+  // Only job directories; anything else under ./downloads was put there by hand
+  const downloadsRoot = path.resolve("./downloads");
+  if (fs.existsSync(downloadsRoot)) {
+    fs.readdirSync(downloadsRoot, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && entry.name.startsWith('job_') && !jobStore.get(entry.name))
+      .map(entry => entry.name)
+      .forEach(name => {
+        fs.rmSync(path.join(downloadsRoot, name), { recursive: true, force: true });
+        serverLog.info(`🗑️ Backup cleanup - deleted orphaned job directory: ${name}`);
+      });
+  }
+
+  // Jobs with a stored ZIP are kept for their retention, but their job
+  // directory (only still read by the report) goes with the backup cleanup
+  jobStore.list()
+    .filter(job => job.result && !isJobActive(job) && now - job.createdAt > maxAge)
+    .forEach(job => deleteJobWorkFiles(job));
+
+  resultStorage.list()
+    .then(stored => stored
+      .filter(({ jobId }) => !jobStore.get(jobId))
+      .forEach(({ jobId, key }) => resultStorage.remove({ key })
+        .then(() => serverLog.info(`🗑️ Backup cleanup - deleted orphaned stored ZIP of job ${jobId}`))
+        .catch(error => serverLog.error(`❌ Backup cleanup - could not delete stored ZIP ${key}: ${error.message}`))))
+    .catch(error => serverLog.error(`❌ Backup cleanup - could not list stored ZIPs: ${error.message}`));
   
   if (cleanedCount > 0) {
-    console.log(`🧹 Backup cleanup completed: ${cleanedCount} old jobs removed`);
+    serverLog.info(`🧹 Backup cleanup completed: ${cleanedCount} old jobs removed`);
+  }
+
+  jobStats.prune();
+
+  const expiredSessions = auth.pruneSessions();
+  if (expiredSessions > 0) {
+    serverLog.info(`🧹 Removed ${expiredSessions} expired sessions`);
   }
 }
 
-// Run backup cleanup every 2 hours
-setInterval(cleanupOldJobs, 2 * 60 * 60 * 1000);
+// Jobs that were running when the server stopped cannot continue; mark them
+// interrupted and re-arm the cleanup timers that were lost with the process
+function recoverJobsAfterRestart() {
+  const now = new Date();
+
+  // Jobs that were still waiting keep their place in line
+  jobStore.list()
+    .filter(job => job.status === 'queued')
+    .sort((a, b) => new Date(a.queuedAt || a.createdAt) - new Date(b.queuedAt || b.createdAt))
+    .forEach(job => {
+      jobQueue.enqueue(job.id);
+      serverLog.info(`⏳ Re-queued job ${job.id} after restart`);
+    });
+
+  jobStore.list().forEach(job => {
+    if (job.status === 'queued') {
+      return;
+    }
+    if (isJobActive(job)) {
+      jobStore.update(job.id, {
+        status: 'interrupted',
+        progress: '⚠️ Interrupted: the server restarted while this job was running. The job can be resumed.',
+        error: 'Server restarted while the job was running',
+        interruptedAt: now
+      });
+      scheduleJobCleanup(job.id, RESUMABLE_RETENTION_MINUTES);
+      serverLog.info(`⚠️ Marked job ${job.id} as interrupted`);
+    } else if (job.expiresAt) {
+      const remainingMinutes = Math.max(0, (new Date(job.expiresAt) - now) / 60000);
+      scheduleJobCleanup(job.id, remainingMinutes);
+    }
+  });
+}
+
+// ADMIN_USERNAME and ADMIN_PASSWORD create the first admin; further users
+// are added by admins through POST /users
+function ensureAdminUser() {
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (ADMIN_USERNAME && ADMIN_PASSWORD && !auth.findByUsername(ADMIN_USERNAME)) {
+    const admin = auth.createUser({ username: ADMIN_USERNAME, password: ADMIN_PASSWORD, role: 'admin' });
+    serverLog.info(`👤 Created admin user ${admin.username}`);
+  }
+  if (!auth.list().some((user) => user.role === 'admin')) {
+    serverLog.info(`⚠️ No admin user yet: set ADMIN_USERNAME and ADMIN_PASSWORD and restart to create one`);
+  }
+}
 
 // Create base downloads directory
 const baseDownloadsPath = path.resolve("./downloads");
 if (!fs.existsSync(baseDownloadsPath)) {
   fs.mkdirSync(baseDownloadsPath, { recursive: true });
-  console.log(`📁 Created base downloads directory: ${baseDownloadsPath}`);
+  serverLog.info(`📁 Created base downloads directory: ${baseDownloadsPath}`);
 }
 
-app.listen(port, host, () => {
-  console.log(`🚀 Server listening at http://localhost:${port}`);
-  console.log(`📁 Base downloads path: ${baseDownloadsPath}`);
-  console.log(`🎯 Target: Animal protection law FIRs`);
-  console.log(`📋 Available districts: ${Object.keys(allowedDistricts).length}`);
-  console.log(`👥 Multi-user support: ENABLED`);
-  console.log(`🗑️ Auto-cleanup: 30 minutes after completion`);
-  console.log(`⚡ Rate limit: 2 concurrent jobs per IP`);
-});
+// Recovery, schedules and the listener only run for the server itself;
+// the tests require this file for the app and the scraper
+if (require.main === module) {
+  ensureAdminUser();
+  recoverJobsAfterRestart();
+  cleanupOldJobs();
+  runDueSchedules();
+
+  setInterval(runDueSchedules, SCHEDULE_CHECK_INTERVAL_MS);
+
+  // PDFs stored before search existed get their text extracted in the background
+  firSearch.indexMissing()
+    .then((indexed) => indexed > 0 && serverLog.info(`🔎 Extracted text from ${indexed} library PDFs`))
+    .catch((error) => serverLog.error(`❌ Library text indexing failed: ${error.message}`));
+
+  // Run backup cleanup every 2 hours
+  setInterval(cleanupOldJobs, 2 * 60 * 60 * 1000);
+
+  // Persist pending job updates before the process goes away
+  ['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.on(signal, () => {
+      jobStore.flush();
+      scheduleStore.flush();
+      userStore.flush();
+      sessionStore.flush();
+      jobStatsStore.flush();
+      firLibrary.flush();
+      browserPool.closeAll().finally(() => process.exit(0));
+    });
+  });
+
+  app.listen(port, host, () => {
+    serverLog.info(`🚀 Server listening at http://localhost:${port}`);
+    serverLog.info(`📁 Base downloads path: ${baseDownloadsPath}`);
+    serverLog.info(`🎯 Default section filter: ${DEFAULT_PRESET}`);
+    serverLog.info(`🌐 Portals: ${Object.values(portalAdapters).map((portal) => `${portal.name} (${Object.keys(portal.districts).length} districts)`).join(', ')}; default ${DEFAULT_PORTAL}`);
+    serverLog.info(`👥 Accounts: ${auth.list().length} users; API keys and web login`);
+    serverLog.info(`🗑️ Auto-cleanup: ZIPs kept in ${resultStorage.describe()} for ${RESULT_RETENTION_HOURS} hours after completion unless the job asks for other retentionHours`);
+    serverLog.info(`⚡ Default quota per user: ${DEFAULT_QUOTA.maxActiveJobs || 'unlimited'} concurrent jobs, ${DEFAULT_QUOTA.maxJobsPerDay || 'unlimited'} jobs per day`);
+  });
+}
+
+module.exports = {
+  app,
+  auth,
+  extractAndDownloadFIRs: scraper.extractAndDownloadFIRs,
+  jobStore,
+  jobLogs,
+  firLibrary,
+  browserPool,
+  cleanupOldJobs,
+  resultStorage
+};
@@ -0,0 +1,357 @@
+#!/usr/bin/env node
+// bin/fir-downloader.js
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const axios = require("axios");
+const { compileSectionFilter, listSectionPresets } = require("../lib/sectionFilters");
+const { createJobStore } = require("../lib/jobStore");
+const { createBrowserPool } = require("../lib/browserPool");
+const { createFirLibrary } = require("../lib/firLibrary");
+const { createFirSearch } = require("../lib/firSearch");
+const { createJobLogs } = require("../lib/jobLog");
+const { loadPortalAdapters, resolveDistricts } = require("../lib/portalAdapters");
+const { createScraper, launchBrowser, planDateWindows } = require("../lib/scraper");
+
+// Runs extractions from the command line, without the web server, and talks
+// to a running server for the status and ZIP of its jobs. stdout only carries
+// results (paths, or JSON lines with --json); progress and logs go to stderr.
+// Exit codes: 0 done, 1 failed, 2 bad arguments, 130 interrupted.
+
+const USAGE = `Usage: fir-downloader <command> [options]
+
+Commands:
+  extract    Download the FIRs of one or more districts into a directory
+    --district NAME      district, repeatable or comma-separated; ALL for every district
+    --from DD/MM/YYYY    first registration date
+    --to DD/MM/YYYY      last registration date
+    --preset NAME        section preset, repeatable (default ${listSectionPresets().find((preset) => preset.default).name})
+    --section "IPC 429"  match this act and section, repeatable
+    --out DIR            output directory, must be empty (default ./fir-downloads)
+    --zip, --no-zip      also write DIR.zip (the default), or keep the files in DIR only
+    --portal NAME        portal adapter (default $DEFAULT_PORTAL or maharashtra)
+    --json               print progress and results as JSON lines
+    --verbose            print the job log to stderr
+
+  districts  List the districts a portal accepts
+    --portal NAME, --json
+
+  status <jobId>     Show a job of a running server
+  download <jobId>   Download the ZIP of a finished job of a running server
+    --out FILE           where to save the ZIP (default fir_<jobId>.zip)
+    --server URL         server address (default $FIR_SERVER or http://localhost:8080)
+    --api-key KEY        API key (default $FIR_API_KEY)
+    --json
+
+Presets: ${listSectionPresets().map((preset) => preset.name).join(", ")}
+`;
+
+const OPTIONS = {
+  district: { type: "string", multiple: true },
+  from: { type: "string" },
+  to: { type: "string" },
+  preset: { type: "string", multiple: true },
+  section: { type: "string", multiple: true },
+  out: { type: "string" },
+  zip: { type: "boolean" },
+  "no-zip": { type: "boolean" },
+  portal: { type: "string" },
+  json: { type: "boolean", default: false },
+  verbose: { type: "boolean", default: false },
+  server: { type: "string" },
+  "api-key": { type: "string" },
+  help: { type: "boolean", short: "h", default: false }
+};
+
+const print = (text) => process.stdout.write(`${text}\n`);
+
+// Errors in the arguments; reported with a pointer to --help and exit code 2
+function usageError(message) {
+  const error = new Error(message);
+  error.usage = true;
+  return error;
+}
+
+function loadPortals() {
+  return loadPortalAdapters([path.join(__dirname, "..", "portals"), process.env.PORTAL_CONFIG_DIR].filter(Boolean));
+}
+
+function getPortal(name = process.env.DEFAULT_PORTAL || "maharashtra") {
+  const portals = loadPortals();
+  if (!portals[name]) {
+    throw usageError(`Unknown portal "${name}". Available: ${Object.keys(portals).join(", ")}.`);
+  }
+  return portals[name];
+}
+
+// "--district PUNE --district 'THANE CITY,AKOLA'" -> ["PUNE", "THANE CITY", "AKOLA"]
+function splitList(values = []) {
+  return values.flatMap((value) => value.split(",")).map((value) => value.trim()).filter(Boolean);
+}
+
+// Presets by name plus one custom rule set for the --section options
+function sectionSpec({ preset = [], section = [] }) {
+  const spec = [...preset];
+  if (section.length > 0) {
+    spec.push({ name: "cli", label: `Sections ${section.join(", ")}`, sections: section });
+  }
+  return spec.length === 0 ? undefined : spec.length === 1 ? spec[0] : spec;
+}
+
+function listDistricts(options) {
+  const portal = getPortal(options.portal);
+  const districts = Object.entries(portal.districts).map(([name, code]) => ({ name, code }));
+  if (options.json) {
+    print(JSON.stringify(districts));
+  } else {
+    districts.forEach((district) => print(district.name));
+  }
+}
+
+async function extract(options) {
+  const portal = getPortal(options.portal);
+  if (!options.from || !options.to) {
+    throw usageError("--from and --to are required (DD/MM/YYYY).");
+  }
+  const { error } = planDateWindows(options.from, options.to, portal);
+  if (error) {
+    throw usageError(error);
+  }
+  if (options.zip && options["no-zip"]) {
+    throw usageError("Pass either --zip or --no-zip.");
+  }
+  let districts;
+  let sectionFilter;
+  try {
+    districts = resolveDistricts(splitList(options.district), portal);
+    sectionFilter = compileSectionFilter(sectionSpec(options));
+  } catch (error) {
+    throw usageError(error.message);
+  }
+
+  // The scraper empties the job directory before it starts
+  const outDir = path.resolve(options.out || "fir-downloads");
+  if (fs.existsSync(outDir) && fs.readdirSync(outDir).length > 0) {
+    throw usageError(`${outDir} is not empty; pick another --out directory.`);
+  }
+
+  const emit = (event, data) => {
+    if (options.json) {
+      print(JSON.stringify({ event, ...data }));
+    }
+  };
+
+  // One job record, kept in memory like JOB_STORE=memory on the server
+  const jobStore = createJobStore({ type: "memory" });
+  const jobId = `cli_${Date.now()}`;
+  jobStore.save({
+    id: jobId,
+    status: "running",
+    progress: "Started from the command line",
+    createdAt: new Date(),
+    lastUpdated: new Date(),
+    params: {
+      portal: portal.name,
+      fromDate: options.from,
+      toDate: options.to,
+      districtName: districts.map((d) => d.name).join(", "),
+      districts,
+      sectionFilter: { name: sectionFilter.name, label: sectionFilter.label, spec: sectionFilter.spec },
+      mode: "download"
+    },
+    districts: districts.map((district) => ({ ...district, status: "pending" }))
+  });
+
+  // Ctrl+C stops after the current FIR and keeps what was downloaded; a second one quits
+  let stopRequest = null;
+  process.on("SIGINT", () => {
+    if (stopRequest) {
+      process.exit(130);
+    }
+    console.error("\n⏹️ Stopping after the current FIR, press Ctrl+C again to quit now...");
+    stopRequest = { action: "cancel", partialZip: true, requestedAt: new Date() };
+  });
+
+  // Job, library and browser pool lines go to stderr, between the results they would
+  // otherwise end up in
+  const jobLogs = createJobLogs({
+    dir: path.resolve(process.env.JOB_LOG_DIR || "./logs"),
+    consoleLevel: options.verbose ? "info" : "warn",
+    format: process.env.LOG_FORMAT || "text",
+    stream: process.stderr
+  });
+  const browserPool = createBrowserPool({ size: 1, launch: launchBrowser, logger: jobLogs.server });
+  const firLibrary = createFirLibrary(path.resolve(process.env.FIR_LIBRARY_DIR || "./library"), { logger: jobLogs.server });
+  const scraper = createScraper({
+    jobs: {
+      get: (id) => jobStore.get(id),
+      update: (id, patch) => jobStore.update(id, patch),
+      progress(id, message, details = {}) {
+        jobStore.update(id, { progress: message, lastUpdated: new Date(), ...details });
+        if (options.json) {
+          emit("progress", { message, ...details });
+        } else if (process.stderr.isTTY && !options.verbose) {
+          process.stderr.write(`\r\x1b[K${message}`);
+        } else {
+          console.error(message);
+        }
+      },
+      updateDistrict(id, districtIndex, patch) {
+        const job = jobStore.get(id);
+        const jobDistricts = job.districts.slice();
+        jobDistricts[districtIndex] = { ...jobDistricts[districtIndex], ...patch };
+        jobStore.update(id, { districts: jobDistricts });
+      },
+      // Nothing to resume from once the process is gone
+      saveCheckpoint: () => {},
+      publish(id, type, data) {
+        if (type === "file") {
+          emit("file", data);
+        }
+      },
+      stopRequest: () => stopRequest
+    },
+    browserPool,
+    firLibrary,
+    firSearch: createFirSearch(firLibrary, { logger: jobLogs.server }),
+    jobLogs,
+    getPortalAdapter: () => portal,
+    jobDir: () => outDir,
+    zipPath: () => `${outDir}.zip`,
+    downloadTimeoutMs: parseInt(process.env.DOWNLOAD_TIMEOUT_MS, 10) || 120000,
+    downloadMaxAttempts: Math.max(1, parseInt(process.env.DOWNLOAD_MAX_ATTEMPTS, 10) || 3),
+    navigationMaxAttempts: Math.max(1, parseInt(process.env.NAVIGATION_MAX_ATTEMPTS, 10) || 3),
+    retryDelayMs: parseInt(process.env.RETRY_DELAY_MS, 10) || 2000
+  });
+
+  try {
+    const zipPath = await scraper.extractAndDownloadFIRs(options.from, options.to, districts, jobId, {
+      portal,
+      sectionFilter,
+      zip: !options["no-zip"]
+    });
+    if (process.stderr.isTTY && !options.json && !options.verbose) {
+      process.stderr.write("\n");
+    }
+
+    const job = jobStore.get(jobId);
+    const counts = { scanned: 0, matched: 0, downloaded: 0, failed: 0 };
+    job.districts.forEach((district) => {
+      Object.keys(counts).forEach((field) => {
+        counts[field] += district[field] || 0;
+      });
+    });
+    // A Ctrl+C after the last page came too late to stop anything
+    const cancelled = Boolean(stopRequest && stopRequest.stoppedAt);
+    if (options.json) {
+      emit("done", { status: cancelled ? "cancelled" : "completed", outDir, zipPath, ...counts });
+    } else {
+      console.error(`${cancelled ? "⏹️ Cancelled" : "🎉 Completed"}: ${counts.downloaded} FIRs downloaded of ${counts.matched} matching ${sectionFilter.label} (${counts.scanned} scanned)`);
+      if (counts.failed > 0) {
+        console.error(`⚠️ ${counts.failed} FIRs could not be downloaded, see failed.csv`);
+      }
+      print(zipPath || outDir);
+    }
+    process.exitCode = cancelled ? 130 : 0;
+  } catch (error) {
+    if (options.json) {
+      emit("failed", { status: "failed", error: error.message, outDir });
+    } else {
+      console.error(`\n❌ Extraction failed: ${error.message}`);
+    }
+    process.exitCode = 1;
+  } finally {
+    await browserPool.closeAll();
+  }
+}
+
+// axios for the server's API, authenticated with the API key
+function createClient(options) {
+  const apiKey = options["api-key"] || process.env.FIR_API_KEY;
+  return axios.create({
+    baseURL: (options.server || process.env.FIR_SERVER || "http://localhost:8080").replace(/\/+$/, ""),
+    headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+    validateStatus: () => true
+  });
+}
+
+async function showStatus(jobId, options) {
+  const { status, data } = await createClient(options).get(`/job-status/${encodeURIComponent(jobId)}`);
+  if (status !== 200) {
+    throw new Error(data && data.error ? data.error : `The server answered with status ${status}`);
+  }
+  if (options.json) {
+    print(JSON.stringify(data));
+    return;
+  }
+  print(`${data.id}: ${data.status}`);
+  print(data.progress);
+  print(`${data.totalDownloaded} FIRs downloaded${data.failedCount ? `, ${data.failedCount} failed` : ""}`);
+  if (data.zipReady && data.expiresAt) {
+    print(`ZIP kept until ${new Date(data.expiresAt).toLocaleString()}`);
+  }
+}
+
+async function downloadZip(jobId, options) {
+  const response = await createClient(options).get(`/download-job-zip/${encodeURIComponent(jobId)}`, { responseType: "stream" });
+  if (response.status !== 200) {
+    const chunks = [];
+    for await (const chunk of response.data) {
+      chunks.push(chunk);
+    }
+    let message = `The server answered with status ${response.status}`;
+    try {
+      message = JSON.parse(Buffer.concat(chunks).toString("utf8")).error || message;
+    } catch (error) {
+      // Not a JSON error document
+    }
+    throw new Error(message);
+  }
+
+  const outPath = path.resolve(options.out || `fir_${jobId}.zip`);
+  await new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(outPath);
+    output.on("finish", resolve);
+    output.on("error", reject);
+    response.data.on("error", reject);
+    response.data.pipe(output);
+  });
+  if (options.json) {
+    print(JSON.stringify({ jobId, path: outPath, bytes: fs.statSync(outPath).size }));
+  } else {
+    print(outPath);
+  }
+}
+
+async function main(argv) {
+  const { values: options, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  const [command, jobId] = positionals;
+
+  if (options.help || !command) {
+    print(USAGE);
+    return;
+  }
+  if ((command === "status" || command === "download") && !jobId) {
+    throw usageError(`${command} needs a job id.`);
+  }
+
+  switch (command) {
+    case "districts":
+      return listDistricts(options);
+    case "extract":
+      return extract(options);
+    case "status":
+      return showStatus(jobId, options);
+    case "download":
+      return downloadZip(jobId, options);
+    default:
+      throw usageError(`Unknown command "${command}".`);
+  }
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  const usage = error.usage || error.code === "ERR_PARSE_ARGS_UNKNOWN_OPTION" || error.code === "ERR_PARSE_ARGS_INVALID_OPTION_VALUE";
+  console.error(`❌ ${error.message}${usage ? "\nRun fir-downloader --help for usage." : ""}`);
+  process.exitCode = usage ? 2 : 1;
+});
@@ -0,0 +1,300 @@
+// lib/auth.js
+
+const crypto = require("crypto");
+const moment = require("moment-timezone");
+const { TIMEZONE } = require("./dateWindows");
+
+// Accounts for the web UI and for scripts:
+//
+//   users      { id, username, role: "user" | "admin", passwordHash, quota,
+//                apiKeys: [{ id, label, prefix, hash, createdAt, lastUsedAt }],
+//                usage: { day, jobs }, disabled }
+//   sessions   { id, userId, createdAt, expiresAt } from POST /auth/login
+//
+// Passwords are stored as scrypt hashes. Session tokens and API keys are only
+// shown once; the stores keep their SHA-256 hashes. quota holds per-user
+// overrides of maxActiveJobs and maxJobsPerDay (0 means unlimited).
+
+const ROLES = ["user", "admin"];
+const API_KEY_PREFIX = "fir_";
+const SESSION_COOKIE = "fir_session";
+const QUOTA_FIELDS = ["maxActiveJobs", "maxJobsPerDay"];
+// Polling scripts use their key every few seconds; lastUsedAt is only
+// rewritten once it is this much out of date
+const API_KEY_TOUCH_INTERVAL_MS = 60 * 1000;
+
+function sha256(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  return `scrypt:${salt}:${crypto.scryptSync(password, salt, 64).toString("hex")}`;
+}
+
+function verifyPassword(password, passwordHash) {
+  const [scheme, salt, hash] = String(passwordHash || "").split(":");
+  if (scheme !== "scrypt" || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Cookie header -> { name: value }
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || "").split(";")) {
+    const at = part.indexOf("=");
+    if (at > 0) {
+      const value = part.slice(at + 1).trim();
+      try {
+        cookies[part.slice(0, at).trim()] = decodeURIComponent(value);
+      } catch (error) {
+        cookies[part.slice(0, at).trim()] = value;
+      }
+    }
+  }
+  return cookies;
+}
+
+function validateUsername(username) {
+  const name = String(username || "").trim().toLowerCase();
+  if (!/^[a-z0-9._-]{3,40}$/.test(name)) {
+    throw new Error("username must be 3-40 letters, digits, dots, dashes or underscores.");
+  }
+  return name;
+}
+
+function validatePassword(password) {
+  if (typeof password !== "string" || password.length < 8) {
+    throw new Error("password must have at least 8 characters.");
+  }
+  return password;
+}
+
+// Merges quota changes into current overrides; a null field (or a null
+// quota) goes back to the default
+function mergeQuota(current, changes) {
+  if (changes === null) {
+    return {};
+  }
+  if (typeof changes !== "object" || Array.isArray(changes)) {
+    throw new Error("quota must be an object with maxActiveJobs and/or maxJobsPerDay.");
+  }
+  const quota = { ...current };
+  for (const [field, value] of Object.entries(changes)) {
+    if (!QUOTA_FIELDS.includes(field)) {
+      throw new Error(`Unknown quota field "${field}". Use ${QUOTA_FIELDS.join(" or ")}.`);
+    }
+    if (value === null) {
+      delete quota[field];
+    } else if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`quota.${field} must be a whole number (0 for unlimited) or null for the default.`);
+    } else {
+      quota[field] = value;
+    }
+  }
+  return quota;
+}
+
+// userStore and sessionStore are job stores (see lib/jobStore.js).
+// defaultQuota applies wherever a user has no override.
+function createAuth({ userStore, sessionStore, sessionTtlHours = 12, defaultQuota = { maxActiveJobs: 2, maxJobsPerDay: 20 } }) {
+  function findByUsername(username) {
+    const name = String(username || "").trim().toLowerCase();
+    return userStore.list().find((user) => user.username === name);
+  }
+
+  function today(now) {
+    return moment.tz(now, TIMEZONE).format("YYYY-MM-DD");
+  }
+
+  function describeApiKey(apiKey) {
+    return {
+      id: apiKey.id,
+      label: apiKey.label,
+      prefix: apiKey.prefix,
+      createdAt: apiKey.createdAt,
+      lastUsedAt: apiKey.lastUsedAt || null
+    };
+  }
+
+  function quotaFor(user) {
+    return { ...defaultQuota, ...(user.quota || {}) };
+  }
+
+  function jobsToday(user, now = new Date()) {
+    return user.usage && user.usage.day === today(now) ? user.usage.jobs : 0;
+  }
+
+  return {
+    quotaFor,
+    jobsToday,
+
+    get(userId) {
+      return userStore.get(userId);
+    },
+
+    findByUsername,
+
+    list() {
+      return userStore.list();
+    },
+
+    // A user without secrets, for API responses
+    describe(user, now = new Date()) {
+      return {
+        id: user.id,
+        username: user.username,
+        role: user.role,
+        disabled: Boolean(user.disabled),
+        createdAt: user.createdAt,
+        lastLoginAt: user.lastLoginAt || null,
+        quota: quotaFor(user),
+        jobsToday: jobsToday(user, now),
+        apiKeys: (user.apiKeys || []).map(describeApiKey)
+      };
+    },
+
+    createUser({ username, password, role = "user", quota = null }) {
+      const name = validateUsername(username);
+      if (findByUsername(name)) {
+        throw new Error(`User "${name}" already exists.`);
+      }
+      if (!ROLES.includes(role)) {
+        throw new Error(`role must be ${ROLES.join(" or ")}.`);
+      }
+      return userStore.save({
+        id: `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        username: name,
+        role,
+        passwordHash: hashPassword(validatePassword(password)),
+        quota: mergeQuota({}, quota),
+        apiKeys: [],
+        usage: null,
+        disabled: false,
+        createdAt: new Date()
+      });
+    },
+
+    // Only the fields present in changes are touched
+    updateUser(userId, changes) {
+      const patch = {};
+      if (changes.password !== undefined) {
+        patch.passwordHash = hashPassword(validatePassword(changes.password));
+      }
+      if (changes.role !== undefined) {
+        if (!ROLES.includes(changes.role)) {
+          throw new Error(`role must be ${ROLES.join(" or ")}.`);
+        }
+        patch.role = changes.role;
+      }
+      if (changes.quota !== undefined) {
+        patch.quota = mergeQuota(userStore.get(userId).quota || {}, changes.quota);
+      }
+      if (changes.disabled !== undefined) {
+        patch.disabled = Boolean(changes.disabled);
+      }
+      const user = userStore.update(userId, patch);
+      // Changed passwords and disabled accounts end every session
+      if (user && (patch.passwordHash || patch.disabled)) {
+        sessionStore.list()
+          .filter((session) => session.userId === userId)
+          .forEach((session) => sessionStore.remove(session.id));
+      }
+      return user;
+    },
+
+    // Returns { token, user } or null; the token goes into the session cookie
+    login(username, password, now = new Date()) {
+      const user = findByUsername(username);
+      if (!user || user.disabled || !verifyPassword(password, user.passwordHash)) {
+        return null;
+      }
+      const token = crypto.randomBytes(32).toString("hex");
+      sessionStore.save({
+        id: sha256(token),
+        userId: user.id,
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + sessionTtlHours * 60 * 60 * 1000)
+      });
+      userStore.update(user.id, { lastLoginAt: now });
+      return { token, user };
+    },
+
+    logout(token) {
+      if (token) {
+        sessionStore.remove(sha256(token));
+      }
+    },
+
+    // The user behind an API key or a session token, or null
+    authenticate({ apiKey = null, sessionToken = null }, now = new Date()) {
+      let user = null;
+      if (apiKey) {
+        const hash = sha256(apiKey);
+        user = userStore.list().find((candidate) => (candidate.apiKeys || []).some((key) => key.hash === hash));
+        const usedKey = user && user.apiKeys.find((key) => key.hash === hash);
+        if (usedKey && (!usedKey.lastUsedAt || now - new Date(usedKey.lastUsedAt) >= API_KEY_TOUCH_INTERVAL_MS)) {
+          userStore.update(user.id, {
+            apiKeys: user.apiKeys.map((key) => (key === usedKey ? { ...key, lastUsedAt: now } : key))
+          });
+        }
+      } else if (sessionToken) {
+        const session = sessionStore.get(sha256(sessionToken));
+        if (session && new Date(session.expiresAt) > now) {
+          user = userStore.get(session.userId);
+        }
+      }
+      return user && !user.disabled ? user : null;
+    },
+
+    // Returns { key, apiKey }; the key itself cannot be shown again
+    createApiKey(userId, label = "") {
+      const user = userStore.get(userId);
+      const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString("hex")}`;
+      const apiKey = {
+        id: `key_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        label: String(label || "").trim().slice(0, 100) || "API key",
+        prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+        hash: sha256(key),
+        createdAt: new Date(),
+        lastUsedAt: null
+      };
+      userStore.update(userId, { apiKeys: [...(user.apiKeys || []), apiKey] });
+      return { key, apiKey: describeApiKey(apiKey) };
+    },
+
+    revokeApiKey(userId, keyId) {
+      const user = userStore.get(userId);
+      const apiKeys = user.apiKeys || [];
+      if (!apiKeys.some((key) => key.id === keyId)) {
+        return false;
+      }
+      userStore.update(userId, { apiKeys: apiKeys.filter((key) => key.id !== keyId) });
+      return true;
+    },
+
+    // Counts a new job against the user's daily quota
+    recordJobStart(userId, now = new Date()) {
+      const user = userStore.get(userId);
+      userStore.update(userId, { usage: { day: today(now), jobs: jobsToday(user, now) + 1 } });
+    },
+
+    pruneSessions(now = new Date()) {
+      const expired = sessionStore.list().filter((session) => new Date(session.expiresAt) <= now);
+      expired.forEach((session) => sessionStore.remove(session.id));
+      return expired.length;
+    }
+  };
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  createAuth,
+  hashPassword,
+  parseCookies,
+  verifyPassword
+};
@@ -0,0 +1,86 @@
+// lib/browserPool.js
+
+// Keeps launched browsers around between jobs so each job does not pay for a
+// fresh Chromium start. The job queue decides how many jobs run at once;
+// the pool never holds more than that many browsers.
+//
+//   acquire()         -> a connected browser, reused or newly launched
+//   release(browser)  -> hands it back; idle browsers close after idleTimeoutMs
+//   closeAll()
+//
+// logger (info) hears what the pool does; the console by default.
+function createBrowserPool({ launch, size, idleTimeoutMs = 5 * 60 * 1000, logger = console }) {
+  const idle = [];
+  const inUse = new Set();
+
+  function closeQuietly(browser) {
+    return browser.close().catch((error) => {
+      logger.info(`⚠️ Failed to close pooled browser: ${error.message}`);
+    });
+  }
+
+  return {
+    async acquire() {
+      while (idle.length > 0) {
+        const { browser, timer } = idle.pop();
+        clearTimeout(timer);
+        if (browser.connected) {
+          inUse.add(browser);
+          logger.info(`♻️ Reusing pooled browser (${inUse.size}/${size} in use)`);
+          return browser;
+        }
+      }
+
+      if (inUse.size >= size) {
+        throw new Error(`Browser pool exhausted (${size} browsers in use)`);
+      }
+
+      const browser = await launch();
+      inUse.add(browser);
+      logger.info(`🌐 Launched pooled browser (${inUse.size}/${size} in use)`);
+      return browser;
+    },
+
+    async release(browser) {
+      inUse.delete(browser);
+      if (!browser.connected) {
+        return;
+      }
+
+      // Leftover tabs from the last job would keep their pages in memory
+      try {
+        const pages = await browser.pages();
+        await Promise.all(pages.map((page) => page.close().catch(() => {})));
+      } catch (error) {
+        logger.info(`⚠️ Discarding pooled browser: ${error.message}`);
+        await closeQuietly(browser);
+        return;
+      }
+
+      const entry = { browser };
+      entry.timer = setTimeout(() => {
+        idle.splice(idle.indexOf(entry), 1);
+        logger.info("🌐 Closing idle pooled browser");
+        closeQuietly(browser);
+      }, idleTimeoutMs);
+      entry.timer.unref();
+      idle.push(entry);
+    },
+
+    async closeAll() {
+      const browsers = [...inUse, ...idle.map((entry) => entry.browser)];
+      idle.forEach((entry) => clearTimeout(entry.timer));
+      idle.length = 0;
+      inUse.clear();
+      await Promise.all(browsers.map(closeQuietly));
+    },
+
+    stats() {
+      return { size, inUse: inUse.size, idle: idle.length };
+    }
+  };
+}
+
+module.exports = {
+  createBrowserPool
+};
@@ -0,0 +1,64 @@
+// lib/dateWindows.js
+
+const moment = require("moment-timezone");
+
+const DATE_FORMAT = "DD/MM/YYYY";
+const TIMEZONE = "Asia/Kolkata";
+// Longest registration date range the portal accepts in one search
+const PORTAL_MAX_RANGE_DAYS = 90;
+
+// Returns an error message for an invalid range, or null. maxDays is left out
+// for whole job ranges, which are split into windows instead.
+function validateDateRange(fromDate, toDate, { maxDays } = {}) {
+  if (
+    !moment(fromDate, DATE_FORMAT, true).isValid() ||
+    !moment(toDate, DATE_FORMAT, true).isValid()
+  ) {
+    return "Invalid date format. Use DD/MM/YYYY.";
+  }
+
+  const fromDateMoment = moment.tz(fromDate, DATE_FORMAT, TIMEZONE);
+  const toDateMoment = moment.tz(toDate, DATE_FORMAT, TIMEZONE);
+
+  if (fromDateMoment.isAfter(toDateMoment)) {
+    return "'fromDate' should be before 'toDate'.";
+  }
+
+  if (maxDays !== undefined && toDateMoment.diff(fromDateMoment, "days") > maxDays) {
+    return `Date range should not exceed ${maxDays} days.`;
+  }
+
+  return null;
+}
+
+// Splits fromDate..toDate (inclusive) into consecutive, non-overlapping
+// windows the portal accepts, e.g. a year becomes five windows.
+function splitDateRange(fromDate, toDate, maxDays = PORTAL_MAX_RANGE_DAYS) {
+  const end = moment.tz(toDate, DATE_FORMAT, TIMEZONE);
+  const windows = [];
+  let start = moment.tz(fromDate, DATE_FORMAT, TIMEZONE);
+
+  while (!start.isAfter(end)) {
+    const windowEnd = moment.min(start.clone().add(maxDays, "days"), end);
+    windows.push({
+      fromDate: start.format(DATE_FORMAT),
+      toDate: windowEnd.format(DATE_FORMAT)
+    });
+    start = windowEnd.clone().add(1, "day");
+  }
+
+  return windows;
+}
+
+function formatDateWindow(window) {
+  return `${window.fromDate}-${window.toDate}`;
+}
+
+module.exports = {
+  DATE_FORMAT,
+  TIMEZONE,
+  PORTAL_MAX_RANGE_DAYS,
+  validateDateRange,
+  splitDateRange,
+  formatDateWindow
+};
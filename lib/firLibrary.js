@@ -0,0 +1,112 @@
+// lib/firLibrary.js
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { createFileJobStore } = require("./jobStore");
+
+// Every FIR PDF any job has downloaded, kept across jobs so overlapping runs
+// copy the stored file instead of fetching it from the portal again.
+// Records are keyed like the manifest (district|policeStation|firNumber|year,
+// see firKey) and live in <rootDir>/index.json; files sit in one folder per
+// district next to it. Each record lists in ownerIds the users whose jobs
+// added or reused it. logger goes to the index store.
+function createFirLibrary(rootDir, { logger = console } = {}) {
+  fs.mkdirSync(rootDir, { recursive: true });
+  const index = createFileJobStore(path.join(rootDir, "index.json"), { dateFields: ["addedAt", "lastUsedAt", "textIndexedAt"], logger });
+
+  function filePath(record) {
+    return path.join(rootDir, record.fileName);
+  }
+
+  // Records whose file went missing are treated as unknown
+  function get(key) {
+    const record = index.get(key);
+    return record && fs.existsSync(filePath(record)) ? record : undefined;
+  }
+
+  return {
+    get,
+    filePath,
+
+    // Copies a freshly downloaded PDF into the library
+    add(key, sourcePath, { folder, jobId, ownerId = null, ...details }) {
+      const baseName = path.basename(sourcePath);
+      let fileName = path.join(folder, baseName);
+      const existing = index.list().find((record) => record.fileName === fileName && record.id !== key);
+      if (existing) {
+        // Different FIRs can render to the same file name
+        const ext = path.extname(baseName);
+        const hash = crypto.createHash("sha1").update(key).digest("hex").slice(0, 8);
+        fileName = path.join(folder, `${path.basename(baseName, ext)}_${hash}${ext}`);
+      }
+
+      fs.mkdirSync(path.join(rootDir, folder), { recursive: true });
+      fs.copyFileSync(sourcePath, path.join(rootDir, fileName));
+      return index.save({
+        id: key,
+        ...details,
+        fileName,
+        size: fs.statSync(path.join(rootDir, fileName)).size,
+        addedAt: new Date(),
+        addedByJob: jobId,
+        ownerIds: ownerId ? [ownerId] : [],
+        lastUsedAt: null
+      });
+    },
+
+    // Copies a stored PDF to destPath for a job of ownerId and returns the
+    // record, or undefined
+    copyTo(key, destPath, { ownerId = null } = {}) {
+      const record = get(key);
+      if (!record) {
+        return undefined;
+      }
+      fs.copyFileSync(filePath(record), destPath);
+      const ownerIds = record.ownerIds || [];
+      return index.update(key, {
+        lastUsedAt: new Date(),
+        timesReused: (record.timesReused || 0) + 1,
+        ownerIds: ownerId && !ownerIds.includes(ownerId) ? [...ownerIds, ownerId] : ownerIds
+      });
+    },
+
+    // Extracted PDF text is kept next to the PDF as <file>.txt
+    setText(key, text) {
+      const record = index.get(key);
+      const textFile = `${record.fileName}.txt`;
+      fs.writeFileSync(path.join(rootDir, textFile), text, "utf8");
+      return index.update(key, { textFile, textIndexedAt: new Date() });
+    },
+
+    getText(key) {
+      const record = index.get(key);
+      if (!record || !record.textFile || !fs.existsSync(path.join(rootDir, record.textFile))) {
+        return null;
+      }
+      return fs.readFileSync(path.join(rootDir, record.textFile), "utf8");
+    },
+
+    // Counts over the records visible() accepts, all of them by default
+    stats(visible = () => true) {
+      const records = index.list().filter(visible);
+      const byDistrict = {};
+      let sizeBytes = 0;
+      for (const record of records) {
+        byDistrict[record.district] = (byDistrict[record.district] || 0) + 1;
+        sizeBytes += record.size || 0;
+      }
+      return { total: records.length, sizeBytes, byDistrict };
+    },
+
+    list() {
+      return index.list();
+    },
+
+    flush: index.flush
+  };
+}
+
+module.exports = {
+  createFirLibrary
+};
@@ -0,0 +1,162 @@
+// lib/firSearch.js
+
+const moment = require("moment-timezone");
+const { extractPdfText } = require("./pdfText");
+const { compileSectionFilter, SECTION_PRESETS, normalizeText } = require("./sectionFilters");
+const { DATE_FORMAT } = require("./dateWindows");
+
+const SNIPPET_RADIUS = 70;
+const MAX_SNIPPETS = 3;
+
+// Full-text search over the PDFs in the FIR library. Text is extracted once
+// per PDF (see lib/pdfText.js), stored by the library and kept in memory in
+// lowercased form for matching. Stored text is already folded, so lowercasing
+// keeps offsets and snippets can be cut from the stored text directly.
+function createFirSearch(library, { extractText = extractPdfText, logger = console } = {}) {
+  let texts = null;
+
+  function loadTexts() {
+    if (!texts) {
+      texts = new Map();
+      for (const record of library.list()) {
+        const text = library.getText(record.id);
+        if (text !== null) {
+          texts.set(record.id, { text, lower: text.toLowerCase() });
+        }
+      }
+    }
+    return texts;
+  }
+
+  async function indexFile(key) {
+    const record = library.get(key);
+    if (!record) {
+      return false;
+    }
+    const text = await extractText(library.filePath(record));
+    library.setText(key, text);
+    loadTexts().set(key, { text, lower: text.toLowerCase() });
+    return true;
+  }
+
+  // "IPC 429" style values are sections, preset names are presets, anything else a keyword
+  function compileActFilter(act) {
+    if (SECTION_PRESETS[act]) {
+      return compileSectionFilter(act);
+    }
+    const rule = /^\s*[a-z]+\s*\d+[a-z]?\s*$/i.test(act) ? { section: act } : act;
+    return compileSectionFilter({ name: "search", any: [rule] });
+  }
+
+  function makeSnippets(text, lower, terms) {
+    const ranges = [];
+    for (const term of terms) {
+      const at = lower.indexOf(term);
+      if (at !== -1) {
+        ranges.push([Math.max(0, at - SNIPPET_RADIUS), Math.min(text.length, at + term.length + SNIPPET_RADIUS)]);
+      }
+    }
+    ranges.sort((a, b) => a[0] - b[0]);
+
+    const merged = [];
+    for (const range of ranges) {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push([...range]);
+      }
+    }
+
+    return merged.slice(0, MAX_SNIPPETS).map(([start, end]) =>
+      `${start > 0 ? "…" : ""}${text.slice(start, end).trim()}${end < text.length ? "…" : ""}`
+    );
+  }
+
+  function countOccurrences(lower, term) {
+    let count = 0;
+    for (let at = lower.indexOf(term); at !== -1; at = lower.indexOf(term, at + term.length)) {
+      count++;
+    }
+    return count;
+  }
+
+  function parseDate(value) {
+    const date = moment(String(value || "").slice(0, 10), DATE_FORMAT, true);
+    return date.isValid() ? date : null;
+  }
+
+  return {
+    indexFile,
+
+    // Extracts text for library PDFs indexed before search existed or whose extraction failed
+    async indexMissing() {
+      const missing = library.list().filter((record) => !library.getText(record.id) && library.get(record.id));
+      let indexed = 0;
+      for (const record of missing) {
+        try {
+          if (await indexFile(record.id)) {
+            indexed++;
+          }
+        } catch (error) {
+          logger.error(`❌ Could not extract text from ${record.fileName}: ${error.message}`);
+        }
+      }
+      return indexed;
+    },
+
+    // q must contain every whitespace-separated term; district, fromDate/toDate
+    // (DD/MM/YYYY, registration date), act and visible(record) narrow the results
+    search({ q, district, fromDate, toDate, act, limit = 20, visible = () => true }) {
+      const terms = [...new Set(normalizeText(q).split(" ").filter(Boolean))];
+      const from = fromDate ? parseDate(fromDate) : null;
+      const to = toDate ? parseDate(toDate) : null;
+      const actFilter = act ? compileActFilter(act) : null;
+      const districtName = district ? normalizeText(district) : null;
+
+      const results = [];
+      for (const [key, { text, lower }] of loadTexts()) {
+        const record = library.get(key);
+        if (!record || !visible(record)) {
+          continue;
+        }
+        if (districtName && normalizeText(record.district) !== districtName) {
+          continue;
+        }
+        if (from || to) {
+          const registered = parseDate(record.registrationDate);
+          if (!registered || (from && registered.isBefore(from)) || (to && registered.isAfter(to))) {
+            continue;
+          }
+        }
+        if (actFilter && !actFilter.match(record.acts || "", record.sections || "")) {
+          continue;
+        }
+        if (!terms.every((term) => lower.includes(term))) {
+          continue;
+        }
+
+        results.push({
+          key,
+          score: terms.reduce((sum, term) => sum + countOccurrences(lower, term), 0),
+          district: record.district,
+          policeStation: record.policeStation,
+          firNumber: record.firNumber,
+          year: record.year,
+          registrationDate: record.registrationDate,
+          acts: record.acts,
+          sections: record.sections,
+          fileName: record.fileName,
+          snippets: makeSnippets(text, lower, terms)
+        });
+      }
+
+      results.sort((a, b) => b.score - a.score);
+      return { total: results.length, results: results.slice(0, limit) };
+    }
+  };
+}
+
+module.exports = {
+  createFirSearch
+};
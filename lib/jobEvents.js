@@ -0,0 +1,30 @@
+// lib/jobEvents.js
+
+const { EventEmitter } = require("events");
+
+// In-process pub/sub for job updates, used by the /jobs/:jobId/events stream.
+// Events are { type, data } where type is "progress", "file", "match" (scan
+// jobs), "completed", "failed", "paused" or "cancelled". Nothing is buffered:
+// late subscribers start from a status snapshot instead.
+function createJobEvents() {
+  const emitter = new EventEmitter();
+  // One listener per open browser tab, so the default limit of 10 is too low
+  emitter.setMaxListeners(0);
+
+  return {
+    publish(jobId, type, data) {
+      emitter.emit(jobId, { type, data });
+    },
+    subscribe(jobId, listener) {
+      emitter.on(jobId, listener);
+      return () => emitter.off(jobId, listener);
+    },
+    subscriberCount(jobId) {
+      return emitter.listenerCount(jobId);
+    }
+  };
+}
+
+module.exports = {
+  createJobEvents
+};
@@ -0,0 +1,137 @@
+// lib/jobLog.js
+
+const fs = require("fs");
+const path = require("path");
+
+// Leveled, structured logs for jobs. Every entry is one JSON line
+//
+//   { time, level, jobId, msg, ...fields }
+//
+// where fields say where the job was (district, window, page, fir = row on the
+// page, key). Each job appends to <dir>/<jobId>/job.log, next to the failure
+// snapshots of that job; entries at consoleLevel and above are also printed,
+// as one readable line or as the JSON line itself with format "json". Printed
+// lines go to stream if there is one, otherwise warnings and errors to stderr
+// and the rest to stdout.
+//
+//   forJob(jobId, fields)  -> { debug, info, warn, error, child(fields) }
+//   server                 -> { debug, info, warn, error } for lines of no job,
+//                             printed the same way but not written to any file
+//   read(jobId, { level, limit }) -> the last `limit` entries at level and above
+//   diagnosticsDir(jobId), listFiles(jobId), remove(jobId)
+
+const LEVELS = ["debug", "info", "warn", "error"];
+const LOG_FILE = "job.log";
+// Printed before the message in this order; anything else follows
+const FIELD_ORDER = ["district", "window", "page", "fir", "target"];
+
+function levelRank(level) {
+  const rank = LEVELS.indexOf(level);
+  if (rank === -1) {
+    throw new Error(`Unknown log level "${level}". Use ${LEVELS.join(", ")}.`);
+  }
+  return rank;
+}
+
+// One readable line (plus the stack trace, if any) for the console and ?format=text
+function formatLogLine(entry) {
+  const { time, level, jobId, msg, stack, ...fields } = entry;
+  const names = [...FIELD_ORDER.filter((name) => fields[name] !== undefined), ...Object.keys(fields).filter((name) => !FIELD_ORDER.includes(name))];
+  const context = [jobId, ...names.map((name) => `${name}=${fields[name]}`)].join(" ");
+  return `${level.toUpperCase().padEnd(5)} [${context}] ${msg}${stack ? `\n${stack}` : ""}`;
+}
+
+function createJobLogs({ dir, consoleLevel = "info", format = "text", stream = null }) {
+  const consoleRank = levelRank(consoleLevel);
+
+  function diagnosticsDir(jobId) {
+    return path.join(dir, jobId);
+  }
+
+  function print(level, text) {
+    if (levelRank(level) < consoleRank) {
+      return;
+    }
+    if (stream) {
+      stream.write(`${text}\n`);
+    } else if (level === "error" || level === "warn") {
+      console.error(text);
+    } else {
+      console.log(text);
+    }
+  }
+
+  function write(entry) {
+    const line = JSON.stringify(entry);
+    print(entry.level, format === "json" ? line : formatLogLine(entry));
+    try {
+      fs.mkdirSync(diagnosticsDir(entry.jobId), { recursive: true });
+      fs.appendFileSync(path.join(diagnosticsDir(entry.jobId), LOG_FILE), `${line}\n`, "utf8");
+    } catch (error) {
+      print("error", `❌ Could not write the log of job ${entry.jobId}: ${error.message}`);
+    }
+  }
+
+  const server = {};
+  LEVELS.forEach((level) => {
+    server[level] = (msg) => {
+      print(level, format === "json" ? JSON.stringify({ time: new Date(), level, msg }) : msg);
+    };
+  });
+
+  function forJob(jobId, fields = {}) {
+    const logger = { child: (more) => forJob(jobId, { ...fields, ...more }) };
+    LEVELS.forEach((level) => {
+      logger[level] = (msg, more = {}) => {
+        write({ time: new Date(), level, jobId, msg, ...fields, ...more });
+      };
+    });
+    return logger;
+  }
+
+  return {
+    LEVELS,
+    forJob,
+    server,
+    diagnosticsDir,
+
+    read(jobId, { level = "debug", limit = null } = {}) {
+      const minRank = levelRank(level);
+      const logPath = path.join(diagnosticsDir(jobId), LOG_FILE);
+      if (!fs.existsSync(logPath)) {
+        return [];
+      }
+      const entries = fs.readFileSync(logPath, "utf8")
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => {
+          try {
+            return JSON.parse(line);
+          } catch (error) {
+            // A line cut short by a crash
+            return null;
+          }
+        })
+        .filter((entry) => entry && LEVELS.indexOf(entry.level) >= minRank);
+      return limit ? entries.slice(-limit) : entries;
+    },
+
+    // job.log and the failure snapshots, oldest first
+    listFiles(jobId) {
+      const jobDir = diagnosticsDir(jobId);
+      if (!fs.existsSync(jobDir)) {
+        return [];
+      }
+      return fs.readdirSync(jobDir).sort();
+    },
+
+    remove(jobId) {
+      fs.rmSync(diagnosticsDir(jobId), { recursive: true, force: true });
+    }
+  };
+}
+
+module.exports = {
+  createJobLogs,
+  formatLogLine
+};
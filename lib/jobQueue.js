@@ -0,0 +1,88 @@
+// lib/jobQueue.js
+
+// Server-wide FIFO of jobs waiting for a browser. At most `concurrency` jobs
+// run at once; run(jobId, options) must return a promise that settles when
+// the job stops using its browser. onChange is called whenever queue
+// positions move so callers can refresh what they report; logger.error hears
+// about jobs whose run() failed.
+const DEFAULT_JOB_MINUTES = 15;
+const DURATION_SAMPLES = 20;
+
+function createJobQueue({ concurrency, run, onChange = () => {}, logger = console }) {
+  const waiting = [];
+  const running = new Set();
+  const durations = [];
+
+  function averageRunMs() {
+    if (durations.length === 0) {
+      return DEFAULT_JOB_MINUTES * 60 * 1000;
+    }
+    return durations.reduce((sum, ms) => sum + ms, 0) / durations.length;
+  }
+
+  function dispatch() {
+    while (running.size < concurrency && waiting.length > 0) {
+      const { jobId, options } = waiting.shift();
+      const startedAt = Date.now();
+      running.add(jobId);
+
+      Promise.resolve()
+        .then(() => run(jobId, options))
+        .catch((error) => {
+          logger.error(`❌ Queued job ${jobId} could not run: ${error.message}`);
+        })
+        .finally(() => {
+          running.delete(jobId);
+          durations.push(Date.now() - startedAt);
+          if (durations.length > DURATION_SAMPLES) {
+            durations.shift();
+          }
+          dispatch();
+        });
+    }
+    onChange();
+  }
+
+  return {
+    enqueue(jobId, options = {}) {
+      waiting.push({ jobId, options });
+      dispatch();
+    },
+
+    // Drops a job that has not started yet; returns false if it was not waiting
+    remove(jobId) {
+      const idx = waiting.findIndex((item) => item.jobId === jobId);
+      if (idx === -1) {
+        return false;
+      }
+      waiting.splice(idx, 1);
+      onChange();
+      return true;
+    },
+
+    // 1-based position and a rough start estimate based on recent job durations
+    position(jobId) {
+      const idx = waiting.findIndex((item) => item.jobId === jobId);
+      if (idx === -1) {
+        return null;
+      }
+      const rounds = Math.ceil((idx + 1) / concurrency);
+      return {
+        position: idx + 1,
+        estimatedStartAt: new Date(Date.now() + rounds * averageRunMs())
+      };
+    },
+
+    waitingJobIds() {
+      return waiting.map((item) => item.jobId);
+    },
+
+    stats() {
+      return { concurrency, running: running.size, waiting: waiting.length };
+    }
+  };
+}
+
+module.exports = {
+  createJobQueue
+};
@@ -0,0 +1,230 @@
+// lib/jobReport.js
+
+const fs = require("fs");
+const path = require("path");
+const moment = require("moment-timezone");
+const { DATE_FORMAT, TIMEZONE } = require("./dateWindows");
+const { foldText } = require("./sectionFilters");
+
+// Counts of a job's scanned rows (manifest entries) for reporting to NGOs and
+// courts: per district, police station, act, section, month and registration
+// date, each with how many rows matched the job's filter and were downloaded.
+//
+// The portal lists one act per line in the acts cell and the sections of each
+// act on the matching line of the sections cell, so lines are paired up into
+// "act: section" when both cells have the same number of lines.
+
+const UNKNOWN = "(not given)";
+
+function splitLines(text) {
+  return String(text || "").split(/\r?\n/).map((line) => foldText(line).trim()).filter(Boolean);
+}
+
+// Acts of a row and its sections, each section labelled with its act when known
+function actsAndSections(entry) {
+  const acts = splitLines(entry.acts);
+  const sectionLines = splitLines(entry.sections);
+  const sections = [];
+  sectionLines.forEach((line, idx) => {
+    const act = acts.length === sectionLines.length ? acts[idx] : null;
+    line.split(",").map((section) => section.trim()).filter(Boolean).forEach((section) => {
+      sections.push(act ? `${act}: ${section}` : section);
+    });
+  });
+  return { acts: [...new Set(acts)], sections: [...new Set(sections)] };
+}
+
+function registrationDay(entry) {
+  const date = moment(String(entry.registrationDate || "").trim().slice(0, 10), DATE_FORMAT, true);
+  return date.isValid() ? date : null;
+}
+
+function ratio(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 1000 : null;
+}
+
+// groups: Map of key -> { ...labels, scanned, matched, downloaded }
+function countInto(groups, key, labels, entry) {
+  if (!groups.has(key)) {
+    groups.set(key, { ...labels, scanned: 0, matched: 0, downloaded: 0 });
+  }
+  const group = groups.get(key);
+  group.scanned++;
+  group.matched += entry.matched ? 1 : 0;
+  group.downloaded += entry.status === "downloaded" ? 1 : 0;
+}
+
+// Largest first, or in order of their keys (unknown last) for dates
+function finishGroups(groups, { chronological = false } = {}) {
+  const keys = [...groups.keys()];
+  if (chronological) {
+    keys.sort((a, b) => (a === UNKNOWN) - (b === UNKNOWN) || (a < b ? -1 : a > b ? 1 : 0));
+  }
+  const rows = keys.map((key) => ({ ...groups.get(key), matchRate: ratio(groups.get(key).matched, groups.get(key).scanned) }));
+  return chronological ? rows : rows.sort((a, b) => b.matched - a.matched || b.scanned - a.scanned);
+}
+
+// meta describes the job (jobId, mode, fromDate, toDate, districts, sectionFilter, partial)
+function buildJobReport(entries, meta = {}) {
+  const byDistrict = new Map();
+  const byPoliceStation = new Map();
+  const byAct = new Map();
+  const bySection = new Map();
+  const byMonth = new Map();
+  const byDate = new Map();
+
+  for (const entry of entries) {
+    const district = entry.district || UNKNOWN;
+    const policeStation = entry.policeStation || UNKNOWN;
+    countInto(byDistrict, district, { district }, entry);
+    countInto(byPoliceStation, `${district}|${policeStation}`, { district, policeStation }, entry);
+
+    const { acts, sections } = actsAndSections(entry);
+    (acts.length > 0 ? acts : [UNKNOWN]).forEach((act) => countInto(byAct, act, { act }, entry));
+    (sections.length > 0 ? sections : [UNKNOWN]).forEach((section) => countInto(bySection, section, { section }, entry));
+
+    // Keyed so that months and dates sort in calendar order
+    const day = registrationDay(entry);
+    countInto(byMonth, day ? day.format("YYYY-MM") : UNKNOWN, { month: day ? day.format("MMM YYYY") : UNKNOWN }, entry);
+    countInto(byDate, day ? day.format("YYYY-MM-DD") : UNKNOWN, { date: day ? day.format(DATE_FORMAT) : UNKNOWN }, entry);
+  }
+
+  const matched = entries.filter((entry) => entry.matched).length;
+  return {
+    ...meta,
+    generatedAt: new Date(),
+    totals: {
+      scanned: entries.length,
+      matched,
+      downloaded: entries.filter((entry) => entry.status === "downloaded").length,
+      failed: entries.filter((entry) => entry.status === "failed").length,
+      matchRate: ratio(matched, entries.length)
+    },
+    byDistrict: finishGroups(byDistrict),
+    byPoliceStation: finishGroups(byPoliceStation),
+    byAct: finishGroups(byAct),
+    bySection: finishGroups(bySection),
+    byMonth: finishGroups(byMonth, { chronological: true }),
+    byRegistrationDate: finishGroups(byDate, { chronological: true })
+  };
+}
+
+function escapeHtml(text) {
+  return String(text === null || text === undefined ? "" : text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function percent(rate) {
+  return rate === null ? "—" : `${Math.round(rate * 1000) / 10}%`;
+}
+
+// One table with a bar per row: the light bar is scanned, the dark part matched
+function renderTable(title, rows, labelColumns) {
+  if (rows.length === 0) {
+    return "";
+  }
+  const max = Math.max(1, ...rows.map((row) => row.scanned));
+  const body = rows.map((row) => `
+      <tr>
+        ${labelColumns.map(([field]) => `<td>${escapeHtml(row[field])}</td>`).join("")}
+        <td class="num">${row.scanned}</td>
+        <td class="num">${row.matched}</td>
+        <td class="num">${row.downloaded}</td>
+        <td class="num">${percent(row.matchRate)}</td>
+        <td class="chart"><div class="bar" style="width: ${(row.scanned / max) * 100}%"><div class="matched" style="width: ${row.scanned ? (row.matched / row.scanned) * 100 : 0}%"></div></div></td>
+      </tr>`).join("");
+  return `
+  <h2>${escapeHtml(title)}</h2>
+  <table>
+    <thead>
+      <tr>
+        ${labelColumns.map(([, heading]) => `<th>${escapeHtml(heading)}</th>`).join("")}
+        <th class="num">Scanned</th>
+        <th class="num">Matched</th>
+        <th class="num">Downloaded</th>
+        <th class="num">Match rate</th>
+        <th></th>
+      </tr>
+    </thead>
+    <tbody>${body}
+    </tbody>
+  </table>`;
+}
+
+// A self-contained page that prints cleanly (report.html, GET /jobs/:jobId/report)
+function renderReportHtml(report) {
+  const { totals } = report;
+  const period = report.fromDate ? `${report.fromDate} to ${report.toDate}` : "Requested FIRs";
+  const cards = [
+    [totals.scanned, report.mode === "targeted" ? "FIRs requested" : "Rows scanned"],
+    [totals.matched, report.mode === "targeted" ? "FIRs found" : "Matched the filter"],
+    [totals.downloaded, "Downloaded"],
+    [percent(totals.matchRate), report.mode === "targeted" ? "Found" : "Matched of scanned"]
+  ];
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <title>FIR report ${escapeHtml(report.jobId)}</title>
+  <style>
+    body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #333; margin: 30px auto; max-width: 1000px; padding: 0 20px; }
+    h1 { color: #37474f; margin-bottom: 5px; }
+    h2 { color: #37474f; font-size: 18px; margin-top: 30px; border-bottom: 2px solid #e9ecef; padding-bottom: 5px; }
+    .meta { color: #666; font-size: 14px; line-height: 1.6; }
+    .partial { color: #856404; background-color: #fff3cd; padding: 8px; border-radius: 4px; margin-top: 10px; }
+    .cards { display: flex; gap: 15px; margin-top: 20px; }
+    .card { flex: 1; border: 1px solid #e9ecef; border-radius: 6px; padding: 12px; background-color: #f8f9fa; }
+    .card .value { font-size: 24px; font-weight: 600; color: #37474f; }
+    .card .label { font-size: 12px; color: #666; }
+    table { width: 100%; border-collapse: collapse; font-size: 13px; }
+    th, td { border-bottom: 1px solid #ddd; padding: 5px 6px; text-align: left; }
+    .num { text-align: right; white-space: nowrap; }
+    td.chart { width: 25%; }
+    .bar { background-color: #cfe2ff; height: 12px; border-radius: 2px; }
+    .bar .matched { background-color: #0d6efd; height: 100%; border-radius: 2px; }
+    @media print {
+      body { margin: 0; }
+      h2 { break-after: avoid; }
+      tr { break-inside: avoid; }
+      .bar, .bar .matched, .card, .partial { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    }
+  </style>
+</head>
+<body>
+  <h1>FIR summary report</h1>
+  <div class="meta">
+    Job ${escapeHtml(report.jobId)}<br>
+    ${escapeHtml(period)} · ${escapeHtml((report.districts || []).join(", "))}<br>
+    Filter: ${escapeHtml(report.sectionFilter)}<br>
+    Generated ${escapeHtml(moment(report.generatedAt).tz(TIMEZONE).format("DD/MM/YYYY HH:mm"))} IST
+  </div>
+  ${report.partial ? '<div class="partial">⚠️ The job did not finish; these counts only cover the rows scanned before it stopped.</div>' : ""}
+  <div class="cards">
+    ${cards.map(([value, label]) => `<div class="card"><div class="value">${escapeHtml(value)}</div><div class="label">${escapeHtml(label)}</div></div>`).join("\n    ")}
+  </div>
+  ${report.byDistrict.length > 1 ? renderTable("By district", report.byDistrict, [["district", "District"]]) : ""}
+  ${renderTable("By police station", report.byPoliceStation, [["district", "District"], ["policeStation", "Police station"]])}
+  ${renderTable("By act", report.byAct, [["act", "Act"]])}
+  ${renderTable("By section", report.bySection, [["section", "Act: section"]])}
+  ${renderTable("By month of registration", report.byMonth, [["month", "Month"]])}
+  ${renderTable("By registration date", report.byRegistrationDate, [["date", "Date"]])}
+</body>
+</html>
+`;
+}
+
+// report.json and report.html in a job directory
+function writeJobReport(dir, report) {
+  fs.writeFileSync(path.join(dir, "report.json"), JSON.stringify(report, null, 2), "utf8");
+  fs.writeFileSync(path.join(dir, "report.html"), renderReportHtml(report), "utf8");
+}
+
+module.exports = {
+  buildJobReport,
+  renderReportHtml,
+  writeJobReport
+};
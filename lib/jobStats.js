@@ -0,0 +1,75 @@
+// lib/jobStats.js
+
+const moment = require("moment-timezone");
+const { TIMEZONE } = require("./dateWindows");
+
+// Daily job counts for the admin dashboard. Job records are deleted a while
+// after they finish, so the counts are kept in their own store with one
+// record per day (Asia/Kolkata):
+//
+//   { id: "2025-08-14", created, completed, failed, cancelled, filesDownloaded }
+//
+// A resumed job counts again each time it finishes.
+
+const COUNT_FIELDS = ["created", "completed", "failed", "cancelled", "filesDownloaded"];
+const DAY_FORMAT = "YYYY-MM-DD";
+
+function countsOf(record = {}) {
+  return Object.fromEntries(COUNT_FIELDS.map((field) => [field, record[field] || 0]));
+}
+
+function createJobStats(store) {
+  function add(now, counts) {
+    const id = moment.tz(now, TIMEZONE).format(DAY_FORMAT);
+    const record = store.get(id) || store.save({ id, ...countsOf() });
+    const patch = {};
+    for (const [field, value] of Object.entries(counts)) {
+      patch[field] = (record[field] || 0) + value;
+    }
+    store.update(id, patch);
+  }
+
+  return {
+    recordCreated(now = new Date()) {
+      add(now, { created: 1 });
+    },
+
+    // job.status is "completed", "failed" or "cancelled"
+    recordFinished(job, now = new Date()) {
+      add(now, { [job.status]: 1, filesDownloaded: job.totalDownloaded || 0 });
+    },
+
+    // The last `days` days, oldest first, with totals and the share of
+    // finished jobs that failed (null when none finished)
+    summary(days = 14, now = new Date()) {
+      const today = moment.tz(now, TIMEZONE).startOf("day");
+      const perDay = [];
+      for (let offset = days - 1; offset >= 0; offset--) {
+        const id = today.clone().subtract(offset, "days").format(DAY_FORMAT);
+        perDay.push({ day: id, ...countsOf(store.get(id)) });
+      }
+      const totals = countsOf();
+      perDay.forEach((day) => COUNT_FIELDS.forEach((field) => {
+        totals[field] += day[field];
+      }));
+      const finished = totals.completed + totals.failed + totals.cancelled;
+      return {
+        days: perDay,
+        totals,
+        failureRate: finished > 0 ? totals.failed / finished : null
+      };
+    },
+
+    // Drops days older than keepDays
+    prune(keepDays = 365, now = new Date()) {
+      const oldest = moment.tz(now, TIMEZONE).startOf("day").subtract(keepDays, "days").format(DAY_FORMAT);
+      store.list()
+        .filter((record) => record.id < oldest)
+        .forEach((record) => store.remove(record.id));
+    }
+  };
+}
+
+module.exports = {
+  createJobStats
+};
@@ -0,0 +1,148 @@
+// lib/jobStore.js
+
+const fs = require("fs");
+const path = require("path");
+
+// Every job store exposes the same small interface:
+//   get(jobId)            -> job or undefined
+//   list()                -> array of jobs
+//   save(job)             -> stores a whole job record
+//   update(jobId, patch)  -> merges fields into an existing job, returns it
+//   remove(jobId)
+//   flush()               -> persists pending changes synchronously
+//
+// Records are plain objects; the app never mutates them without calling
+// update() so a persistent store can see every change. Schedules use the
+// same stores with their own dateFields.
+
+const DATE_FIELDS = ["createdAt", "lastUpdated", "completedAt", "failedAt", "interruptedAt", "lastDownloaded", "expiresAt", "resumedAt", "pausedAt", "cancelledAt", "queuedAt", "startedAt"];
+
+function createMemoryJobStore() {
+  const jobs = {};
+
+  return {
+    get(jobId) {
+      return jobs[jobId];
+    },
+    list() {
+      return Object.values(jobs);
+    },
+    save(job) {
+      jobs[job.id] = job;
+      return job;
+    },
+    update(jobId, patch) {
+      if (!jobs[jobId]) {
+        return undefined;
+      }
+      Object.assign(jobs[jobId], patch);
+      return jobs[jobId];
+    },
+    remove(jobId) {
+      delete jobs[jobId];
+    },
+    flush() {}
+  };
+}
+
+function reviveDates(job, dateFields) {
+  for (const field of dateFields) {
+    if (job[field]) {
+      job[field] = new Date(job[field]);
+    }
+  }
+  return job;
+}
+
+// Keeps jobs in memory and mirrors them to a JSON file. Progress updates
+// arrive many times a second, so writes are batched and done atomically.
+// logger (info, error) hears about loading and failed writes.
+function createFileJobStore(filePath, { writeDelayMs = 500, dateFields = DATE_FIELDS, logger = console } = {}) {
+  const memory = createMemoryJobStore();
+  let writeTimer = null;
+
+  if (fs.existsSync(filePath)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      for (const job of saved) {
+        memory.save(reviveDates(job, dateFields));
+      }
+      logger.info(`💾 Loaded ${memory.list().length} jobs from ${filePath}`);
+    } catch (error) {
+      const brokenPath = `${filePath}.broken-${Date.now()}`;
+      fs.renameSync(filePath, brokenPath);
+      logger.error(`❌ Could not read job store ${filePath} (${error.message}), moved it to ${brokenPath}`);
+    }
+  } else {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  function flush() {
+    if (writeTimer) {
+      clearTimeout(writeTimer);
+      writeTimer = null;
+    }
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(memory.list(), null, 2), "utf8");
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  function scheduleWrite() {
+    if (writeTimer) {
+      return;
+    }
+    writeTimer = setTimeout(() => {
+      writeTimer = null;
+      try {
+        flush();
+      } catch (error) {
+        logger.error(`❌ Failed to persist job store: ${error.message}`);
+      }
+    }, writeDelayMs);
+  }
+
+  return {
+    get: memory.get,
+    list: memory.list,
+    save(job) {
+      memory.save(job);
+      scheduleWrite();
+      return job;
+    },
+    update(jobId, patch) {
+      const job = memory.update(jobId, patch);
+      if (job) {
+        scheduleWrite();
+      }
+      return job;
+    },
+    remove(jobId) {
+      memory.remove(jobId);
+      scheduleWrite();
+    },
+    flush
+  };
+}
+
+// JOB_STORE=memory keeps the old non-persistent behaviour; the default is
+// a JSON file under ./data that survives restarts.
+function createJobStore({
+  type = process.env.JOB_STORE || "file",
+  filePath = process.env.JOB_STORE_PATH || path.resolve("./data/jobs.json"),
+  dateFields = DATE_FIELDS,
+  logger = console
+} = {}) {
+  if (type === "memory") {
+    return createMemoryJobStore();
+  }
+  if (type === "file") {
+    return createFileJobStore(filePath, { dateFields, logger });
+  }
+  throw new Error(`Unknown JOB_STORE type: ${type}`);
+}
+
+module.exports = {
+  createJobStore,
+  createFileJobStore,
+  createMemoryJobStore
+};
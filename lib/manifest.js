@@ -0,0 +1,225 @@
+// lib/manifest.js
+
+const fs = require("fs");
+const path = require("path");
+
+// Names for the 10 cells of a PublishedFIRs result row, in grid order.
+const FIR_COLUMNS = [
+  "serialNo",
+  "acts",
+  "district",
+  "policeStation",
+  "year",
+  "firNo",
+  "registrationDate",
+  "firNumber",
+  "sections",
+  "download"
+];
+
+const MANIFEST_COLUMNS = [
+  "dateWindow",
+  "page",
+  "row",
+  ...FIR_COLUMNS.filter((column) => column !== "download"),
+  "matched",
+  "matchedRule",
+  "status",
+  "source",
+  "fileName",
+  "attempts",
+  "failureReason"
+];
+
+// Builds the manifest entry for one scanned row. status is one of
+// "not-matched", "downloaded", "failed", "known" (already in the FIR library
+// and skipped by a newOnly job), "listed" (a match found by a scan job) or
+// "not-selected" (a match left out of a download picked from a scan) and is
+// filled in by the caller. source says whether a file came from the "portal"
+// or the "library"; attempts counts the portal download attempts.
+function createManifestEntry(cells, page, row, dateWindow = null) {
+  const entry = { dateWindow, page, row };
+  FIR_COLUMNS.forEach((column, idx) => {
+    if (column !== "download") {
+      entry[column] = cells[idx] || "";
+    }
+  });
+  entry.matched = false;
+  entry.matchedRule = null;
+  entry.status = "not-matched";
+  entry.source = null;
+  entry.fileName = null;
+  entry.attempts = 0;
+  entry.failureReason = null;
+  return entry;
+}
+
+// Identifies one FIR across pages, date windows, resumes and jobs.
+function firKey(cells) {
+  const column = (name) => cells[FIR_COLUMNS.indexOf(name)];
+  return manifestEntryKey({
+    district: column("district"),
+    policeStation: column("policeStation"),
+    firNumber: column("firNumber"),
+    year: column("year")
+  });
+}
+
+function manifestEntryKey(entry) {
+  return [entry.district, entry.policeStation, entry.firNumber, entry.year]
+    .map((value) => String(value || "").trim())
+    .join("|");
+}
+
+function readManifestEntries(dir) {
+  const manifestPath = path.join(dir, "manifest.json");
+  if (!fs.existsSync(manifestPath)) {
+    return [];
+  }
+  return JSON.parse(fs.readFileSync(manifestPath, "utf8")).entries || [];
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The BOM makes Excel open the Devanagari text as UTF-8.
+function toCsv(rows, columns) {
+  const lines = [columns.join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((column) => csvCell(row[column])).join(","));
+  }
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+function writeCsv(filePath, rows, columns) {
+  fs.writeFileSync(filePath, toCsv(rows, columns), "utf8");
+}
+
+const SUMMARY_COLUMNS = ["district", "districtCode", "folder", "scanned", "matched", "downloaded", "fromLibrary", "known", "failed"];
+
+function summarizeEntries(entries) {
+  return {
+    scanned: entries.length,
+    matched: entries.filter((entry) => entry.matched).length,
+    downloaded: entries.filter((entry) => entry.status === "downloaded").length,
+    fromLibrary: entries.filter((entry) => entry.status === "downloaded" && entry.source === "library").length,
+    known: entries.filter((entry) => entry.status === "known").length,
+    failed: entries.filter((entry) => entry.status === "failed").length
+  };
+}
+
+function writeManifest(dir, entries, meta = {}) {
+  fs.writeFileSync(
+    path.join(dir, "manifest.json"),
+    JSON.stringify({
+      ...meta,
+      generatedAt: new Date(),
+      totals: summarizeEntries(entries),
+      entries
+    }, null, 2),
+    "utf8"
+  );
+  writeCsv(path.join(dir, "manifest.csv"), entries, MANIFEST_COLUMNS);
+}
+
+// Combined per-district totals for multi-district jobs (summary.csv/summary.json)
+function writeSummary(dir, rows, meta = {}) {
+  const totals = { scanned: 0, matched: 0, downloaded: 0, fromLibrary: 0, known: 0, failed: 0 };
+  for (const row of rows) {
+    for (const field of Object.keys(totals)) {
+      totals[field] += row[field] || 0;
+    }
+  }
+
+  fs.writeFileSync(
+    path.join(dir, "summary.json"),
+    JSON.stringify({ ...meta, generatedAt: new Date(), totals, districts: rows }, null, 2),
+    "utf8"
+  );
+  writeCsv(path.join(dir, "summary.csv"), rows, SUMMARY_COLUMNS);
+}
+
+// One row per FIR requested by a targeted job
+const TARGET_COLUMNS = [
+  "district",
+  "policeStation",
+  "firNumber",
+  "year",
+  "status",
+  "source",
+  "fileName",
+  "portalPoliceStation",
+  "portalFirNumber",
+  "registrationDate",
+  "acts",
+  "sections",
+  "attempts",
+  "failureReason"
+];
+
+// Writes targets.json and targets.csv for a targeted job. status is "found",
+// "not-found" or "failed" ("pending" for FIRs a partial job never reached).
+function writeTargetReport(dir, results, meta = {}) {
+  const totals = { requested: results.length, found: 0, notFound: 0, failed: 0, pending: 0 };
+  for (const result of results) {
+    const field = { found: "found", "not-found": "notFound", failed: "failed" }[result.status] || "pending";
+    totals[field]++;
+  }
+
+  fs.writeFileSync(
+    path.join(dir, "targets.json"),
+    JSON.stringify({ ...meta, generatedAt: new Date(), totals, targets: results }, null, 2),
+    "utf8"
+  );
+  writeCsv(path.join(dir, "targets.csv"), results, TARGET_COLUMNS);
+}
+
+// One row per FIR that could not be downloaded, from any kind of job
+const FAILED_COLUMNS = [
+  "district",
+  "policeStation",
+  "firNumber",
+  "year",
+  "firNo",
+  "registrationDate",
+  "acts",
+  "sections",
+  "dateWindow",
+  "page",
+  "row",
+  "attempts",
+  "failureReason"
+];
+
+// Writes failed.json and failed.csv; both are written, empty, when nothing failed
+function writeFailedReport(dir, rows, meta = {}) {
+  fs.writeFileSync(
+    path.join(dir, "failed.json"),
+    JSON.stringify({ ...meta, generatedAt: new Date(), count: rows.length, failed: rows }, null, 2),
+    "utf8"
+  );
+  writeCsv(path.join(dir, "failed.csv"), rows, FAILED_COLUMNS);
+}
+
+module.exports = {
+  FAILED_COLUMNS,
+  FIR_COLUMNS,
+  MANIFEST_COLUMNS,
+  TARGET_COLUMNS,
+  createManifestEntry,
+  firKey,
+  manifestEntryKey,
+  readManifestEntries,
+  summarizeEntries,
+  toCsv,
+  writeCsv,
+  writeFailedReport,
+  writeManifest,
+  writeSummary,
+  writeTargetReport
+};
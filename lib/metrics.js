@@ -0,0 +1,112 @@
+// lib/metrics.js
+
+// A small Prometheus registry for GET /metrics (text exposition format 0.0.4):
+//
+//   counter(name, help, labelNames)             -> { inc(labels, value = 1) }
+//   histogram(name, help, labelNames, buckets)  -> { observe(labels, value) }
+//   gauge(name, help, labelNames, collect)      -> collect() returns
+//                                                  [{ labels, value }] per scrape
+//   render()                                    -> the text of one scrape
+//
+// Labels are plain objects; series appear once they have been touched.
+
+const DEFAULT_BUCKETS = [0.5, 1, 2, 5, 10, 20, 30, 60, 120];
+
+function escapeLabelValue(value) {
+  return String(value === null || value === undefined ? "" : value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/"/g, '\\"');
+}
+
+function formatLabels(labelNames, labels, extra = "") {
+  const pairs = labelNames.map((name) => `${name}="${escapeLabelValue(labels[name])}"`);
+  if (extra) {
+    pairs.push(extra);
+  }
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+function formatValue(value) {
+  return value === Infinity ? "+Inf" : String(value);
+}
+
+function createMetrics() {
+  const metrics = [];
+
+  // Series of one metric, keyed by their label values
+  function seriesOf(series, labelNames, labels, create) {
+    const key = JSON.stringify(labelNames.map((name) => String(labels[name] === undefined ? "" : labels[name])));
+    if (!series.has(key)) {
+      series.set(key, { labels, ...create() });
+    }
+    return series.get(key);
+  }
+
+  return {
+    counter(name, help, labelNames = []) {
+      const series = new Map();
+      metrics.push({
+        name,
+        help,
+        type: "counter",
+        lines: () => [...series.values()].map((entry) => `${name}${formatLabels(labelNames, entry.labels)} ${entry.value}`)
+      });
+      return {
+        inc(labels = {}, value = 1) {
+          seriesOf(series, labelNames, labels, () => ({ value: 0 })).value += value;
+        }
+      };
+    },
+
+    // Buckets are upper bounds in the unit observed (seconds by convention)
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+      const series = new Map();
+      const bounds = [...buckets].sort((a, b) => a - b);
+      metrics.push({
+        name,
+        help,
+        type: "histogram",
+        lines: () => [...series.values()].flatMap((entry) => [
+          ...bounds.map((bound, idx) => `${name}_bucket${formatLabels(labelNames, entry.labels, `le="${bound}"`)} ${entry.counts[idx]}`),
+          `${name}_bucket${formatLabels(labelNames, entry.labels, 'le="+Inf"')} ${entry.count}`,
+          `${name}_sum${formatLabels(labelNames, entry.labels)} ${entry.sum}`,
+          `${name}_count${formatLabels(labelNames, entry.labels)} ${entry.count}`
+        ])
+      });
+      return {
+        observe(labels, value) {
+          const entry = seriesOf(series, labelNames, labels, () => ({ counts: bounds.map(() => 0), sum: 0, count: 0 }));
+          bounds.forEach((bound, idx) => {
+            if (value <= bound) {
+              entry.counts[idx]++;
+            }
+          });
+          entry.sum += value;
+          entry.count++;
+        }
+      };
+    },
+
+    gauge(name, help, labelNames, collect) {
+      metrics.push({
+        name,
+        help,
+        type: "gauge",
+        lines: () => collect().map(({ labels = {}, value }) => `${name}${formatLabels(labelNames, labels)} ${formatValue(value)}`)
+      });
+    },
+
+    render() {
+      return metrics.map((metric) => [
+        `# HELP ${metric.name} ${metric.help}`,
+        `# TYPE ${metric.name} ${metric.type}`,
+        ...metric.lines()
+      ].join("\n")).join("\n") + "\n";
+    }
+  };
+}
+
+module.exports = {
+  createMetrics
+};
@@ -0,0 +1,235 @@
+// lib/notifications.js
+
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+const axios = require("axios");
+const nodemailer = require("nodemailer");
+
+// Jobs may ask to be told when they finish:
+//
+//   notify: {
+//     webhookUrl: "https://example.org/fir-hook",
+//     webhookSecret: "...",            (optional, defaults to WEBHOOK_SECRET)
+//     email: "team@example.org"        (or a list; needs SMTP_HOST)
+//   }
+//
+// Webhooks get the JSON payload with an X-FIR-Signature header holding
+// "sha256=" + HMAC-SHA256(secret, raw body). Both channels are retried with
+// exponential backoff and every attempt is reported to the log callback.
+//
+// Webhooks only go to public addresses: hosts that are or resolve to
+// loopback, private, link-local (cloud metadata) or other reserved addresses
+// are refused, when the job is created and again on every delivery. With
+// allowedHosts (WEBHOOK_ALLOWED_HOSTS) only those hosts are accepted, and
+// they may be internal.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv4"));
+[
+  ["::", 127], ["64:ff9b::", 96], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv6"));
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked against the IPv4 subnets
+function isPublicAddress(address) {
+  return !BLOCKED_ADDRESSES.check(address, net.isIP(address) === 6 ? "ipv6" : "ipv4");
+}
+
+function blockedAddressError(hostname, address) {
+  const error = new Error(`Webhook host ${hostname} is or resolves to ${address}, a loopback, private or link-local address.`);
+  // Delivering again would not help
+  error.noRetry = true;
+  return error;
+}
+
+// A dns.lookup for webhook requests that refuses non-public addresses, so a
+// host cannot pass validation and later resolve to an internal address
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked) {
+      return callback(blockedAddressError(hostname, blocked.address));
+    }
+    callback(null, addresses);
+  });
+}
+
+function normalizeHost(hostname) {
+  return hostname.toLowerCase().replace(/^\[|\]$/g, "");
+}
+
+function normalizeNotifyTargets(notify, { defaultSecret = null, smtpConfigured = false, allowedHosts = [] } = {}) {
+  if (notify === undefined || notify === null) {
+    return null;
+  }
+  if (typeof notify !== "object" || Array.isArray(notify)) {
+    throw new Error("notify must be an object with webhookUrl and/or email.");
+  }
+
+  const targets = { webhook: null, email: null };
+
+  if (notify.webhookUrl) {
+    let url;
+    try {
+      url = new URL(String(notify.webhookUrl));
+    } catch (error) {
+      throw new Error(`Invalid webhookUrl "${notify.webhookUrl}".`);
+    }
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+      throw new Error("webhookUrl must be an http or https URL.");
+    }
+    const host = normalizeHost(url.hostname);
+    if (allowedHosts.length > 0) {
+      if (!allowedHosts.map(normalizeHost).includes(host)) {
+        throw new Error(`webhookUrl host ${host} is not one of the allowed webhook hosts.`);
+      }
+    } else if (host === "localhost" || host.endsWith(".localhost") || (net.isIP(host) && !isPublicAddress(host))) {
+      throw blockedAddressError(host, host);
+    }
+    const secret = notify.webhookSecret ? String(notify.webhookSecret) : defaultSecret;
+    if (!secret) {
+      throw new Error("Webhooks are signed: send webhookSecret or set WEBHOOK_SECRET on the server.");
+    }
+    targets.webhook = { url: url.toString(), secret };
+  }
+
+  if (notify.email) {
+    const to = [].concat(notify.email).map((address) => String(address).trim());
+    const invalid = to.find((address) => !EMAIL_PATTERN.test(address));
+    if (invalid !== undefined) {
+      throw new Error(`Invalid email address "${invalid}".`);
+    }
+    if (!smtpConfigured) {
+      throw new Error("Email notifications are not available: SMTP_HOST is not configured on the server.");
+    }
+    targets.email = { to };
+  }
+
+  if (!targets.webhook && !targets.email) {
+    throw new Error("notify needs a webhookUrl or an email.");
+  }
+  return targets;
+}
+
+function signPayload(body, secret) {
+  return crypto.createHmac("sha256", secret).update(body).digest("hex");
+}
+
+function formatEmail(payload) {
+  const counts = payload.counts;
+  const lines = [
+    `Job ${payload.jobId} ${payload.status}.`,
+    "",
+    `Districts: ${payload.districtName}`,
+    // Targeted jobs look up a list of FIRs instead of searching a date range
+    ...(payload.fromDate
+      ? [`Dates: ${payload.fromDate} to ${payload.toDate}`, `Filter: ${payload.sectionFilter}`]
+      : [`FIRs: ${payload.sectionFilter}`]),
+    `Scanned: ${counts.scanned}, matched: ${counts.matched}, downloaded: ${counts.downloaded} (${counts.fromLibrary} from the library), already known: ${counts.known}, failed: ${counts.failed}`
+  ];
+  if (payload.downloadUrl) {
+    lines.push("", `Download: ${payload.downloadUrl}`);
+  }
+  if (payload.error) {
+    lines.push("", `Error: ${payload.error}`);
+  }
+  return {
+    subject: `FIR job ${payload.status}: ${payload.districtName} ${payload.fromDate ? `${payload.fromDate} to ${payload.toDate}` : payload.sectionFilter}`,
+    text: lines.join("\n")
+  };
+}
+
+// smtp is null or { host, port, secure, user, pass, from, ignoreTLS }
+function createNotifier({ smtp = null, maxAttempts = 5, retryDelayMs = 5000, timeoutMs = 10000, allowedHosts = [] } = {}) {
+  const transporter = smtp
+    ? nodemailer.createTransport({
+      host: smtp.host,
+      port: smtp.port,
+      secure: smtp.secure,
+      ignoreTLS: smtp.ignoreTLS,
+      auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined,
+      connectionTimeout: timeoutMs
+    })
+    : null;
+
+  const channels = {
+    async webhook(target, payload) {
+      const body = JSON.stringify(payload);
+      const trusted = allowedHosts.map(normalizeHost).includes(normalizeHost(new URL(target.url).hostname));
+      const response = await axios.post(target.url, body, {
+        headers: {
+          "Content-Type": "application/json",
+          "X-FIR-Event": payload.event,
+          "X-FIR-Delivery": payload.deliveryId,
+          "X-FIR-Signature": `sha256=${signPayload(body, target.secret)}`
+        },
+        timeout: timeoutMs,
+        // A redirect could lead anywhere
+        maxRedirects: 0,
+        lookup: trusted ? undefined : publicLookup,
+        // Send the exact string that was signed
+        transformRequest: [(data) => data]
+      });
+      return `HTTP ${response.status}`;
+    },
+
+    async email(target, payload) {
+      const info = await transporter.sendMail({
+        from: smtp.from,
+        to: target.to.join(", "),
+        ...formatEmail(payload)
+      });
+      return info.response || "sent";
+    }
+  };
+
+  async function deliver(channel, target, payload, log) {
+    const recipient = channel === "webhook" ? target.url : target.to.join(", ");
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        const result = await channels[channel](target, payload);
+        log({ channel, target: recipient, event: payload.event, attempt, ok: true, result, at: new Date() });
+        return true;
+      } catch (error) {
+        const reason = error.response ? `HTTP ${error.response.status}` : error.message;
+        log({ channel, target: recipient, event: payload.event, attempt, ok: false, error: reason, at: new Date() });
+        if (error.noRetry || (error.cause && error.cause.noRetry)) {
+          return false;
+        }
+        if (attempt < maxAttempts) {
+          await new Promise((r) => setTimeout(r, retryDelayMs * 2 ** (attempt - 1)));
+        }
+      }
+    }
+    return false;
+  }
+
+  return {
+    // Delivers payload to every target; resolves once all channels succeed or give up
+    async send(targets, payload, log = () => {}) {
+      const deliveries = [];
+      if (targets.webhook) {
+        deliveries.push(deliver("webhook", targets.webhook, payload, log));
+      }
+      if (targets.email && transporter) {
+        deliveries.push(deliver("email", targets.email, payload, log));
+      }
+      return Promise.all(deliveries);
+    }
+  };
+}
+
+module.exports = {
+  normalizeNotifyTargets,
+  signPayload,
+  isPublicAddress,
+  createNotifier
+};
@@ -0,0 +1,40 @@
+// lib/pdfText.js
+
+const fs = require("fs");
+// The package entry point runs a self-test when loaded directly; the library file does not
+const pdfParse = require("pdf-parse/lib/pdf-parse.js");
+const { foldText } = require("./sectionFilters");
+
+const DEVANAGARI_CONSONANT = "[\\u0915-\\u0939\\u0958-\\u095F]";
+const VIRAMA = "\\u094D";
+// A consonant cluster such as क, क्ष or स्त्र
+const CONSONANT_CLUSTER = `${DEVANAGARI_CONSONANT}(?:${VIRAMA}${DEVANAGARI_CONSONANT})*`;
+// Vowel sign ि (U+093F) extracted in visual order, i.e. before its cluster,
+// where it cannot belong to the preceding character
+const MISPLACED_VOWEL_SIGN_I = new RegExp(
+  `(^|[^\\u0915-\\u0939\\u0958-\\u095F\\u093C\\u094D])\\u093F(${CONSONANT_CLUSTER})`,
+  "gu"
+);
+
+// Portal PDFs often come out of text extraction with ि placed before the
+// consonant it follows in Unicode order. Only unambiguous cases are fixed;
+// the result is folded like filter text (NFC, no zero-width joiners,
+// ASCII digits) so searches and snippets line up.
+function cleanExtractedText(text) {
+  const reordered = String(text || "")
+    .normalize("NFC")
+    .replace(MISPLACED_VOWEL_SIGN_I, (match, before, cluster) => `${before}${cluster}ि`);
+  return foldText(reordered).trim();
+}
+
+async function extractPdfText(filePath) {
+  // pdf.js reads the Buffer's ArrayBuffer from offset 0, but small files are
+  // read into Node's shared buffer pool; a Uint8Array copy owns its memory
+  const data = await pdfParse(new Uint8Array(fs.readFileSync(filePath)));
+  return cleanExtractedText(data.text);
+}
+
+module.exports = {
+  cleanExtractedText,
+  extractPdfText
+};
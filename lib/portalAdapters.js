@@ -0,0 +1,306 @@
+// lib/portalAdapters.js
+
+const fs = require("fs");
+const path = require("path");
+const moment = require("moment-timezone");
+const { DATE_FORMAT, PORTAL_MAX_RANGE_DAYS } = require("./dateWindows");
+const { FIR_COLUMNS } = require("./manifest");
+
+// A portal adapter drives one FIR portal from a declarative JSON config
+// (portals/<name>.json), so a changed selector is a config edit and a
+// similar portal of another state is a new file:
+//
+//   url, reloadAfterLoad   search page, optionally reloaded once after loading
+//   dateFormat             how the portal's date inputs expect dates
+//   maxRangeDays           longest registration date range per search
+//   form                   pageSize { selector, value }, fromDate, toDate,
+//                          district, policeStation, firNumber, search
+//   grid                   result table selector, row and cell selectors,
+//                          cells per FIR row, text shown when nothing matched
+//   pager                  page link selector and the "more pages" link text
+//   columns                cell index of each FIR field (see FIR_COLUMNS)
+//   download               cell index of the download control and its selector
+//   districts              district name -> value of the district dropdown
+//
+// policeStation and firNumber are only needed for targeted jobs.
+
+// Jobs and schedules stored before portal adapters existed all used this one
+const LEGACY_PORTAL = "maharashtra";
+
+const REQUIRED_FORM_FIELDS = ["fromDate", "toDate", "district", "search"];
+const REQUIRED_COLUMNS = ["acts", "district", "policeStation", "year", "firNumber", "registrationDate", "sections"];
+
+function validatePortalConfig(config) {
+  const problems = [];
+  if (!config.name || !/^[a-z0-9-]+$/.test(config.name)) {
+    problems.push("name must be lowercase letters, digits and dashes");
+  }
+  if (!config.url) {
+    problems.push("url is required");
+  }
+  const form = config.form || {};
+  REQUIRED_FORM_FIELDS.filter((field) => !form[field]).forEach((field) => problems.push(`form.${field} is required`));
+  const grid = config.grid || {};
+  if (!grid.selector || !grid.columnCount) {
+    problems.push("grid.selector and grid.columnCount are required");
+  }
+  if (!config.pager || !config.pager.items) {
+    problems.push("pager.items is required");
+  }
+  const columns = config.columns || {};
+  REQUIRED_COLUMNS.filter((column) => !Number.isInteger(columns[column])).forEach((column) => problems.push(`columns.${column} must be a cell index`));
+  if (!config.download || !Number.isInteger(config.download.column)) {
+    problems.push("download.column must be a cell index");
+  }
+  if (!config.districts || Object.keys(config.districts).length === 0) {
+    problems.push("districts must map at least one district name to its dropdown value");
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid portal config "${config.name || "?"}": ${problems.join("; ")}.`);
+  }
+}
+
+function createPortalAdapter(config) {
+  validatePortalConfig(config);
+  const { form, grid, pager, columns, download } = config;
+  const noRecordsPattern = grid.noRecordsPattern || "no records?|not found";
+
+  async function setInputValue(page, selector, value) {
+    await page.evaluate(
+      (sel, text) => {
+        const input = document.querySelector(sel);
+        input.value = text;
+        input.dispatchEvent(new Event("input", { bubbles: true }));
+        input.dispatchEvent(new Event("change", { bubbles: true }));
+      },
+      selector,
+      value
+    );
+  }
+
+  function waitForGrid(page, timeout = 60000) {
+    return page.waitForSelector(grid.selector, { visible: true, timeout });
+  }
+
+  // Text of the first data row, to tell when a new page has rendered
+  function firstRowText(page) {
+    return page.evaluate((selector) => {
+      const row = document.querySelector(`${selector} tr:nth-child(2)`);
+      return row ? row.innerText : "";
+    }, grid.selector);
+  }
+
+  return {
+    name: config.name,
+    label: config.label || config.name,
+    url: config.url,
+    maxRangeDays: config.maxRangeDays || PORTAL_MAX_RANGE_DAYS,
+    districts: config.districts,
+    supportsTargets: Boolean(form.policeStation && form.firNumber),
+    config,
+
+    // Dates are DD/MM/YYYY everywhere else in the app
+    formatDate(date) {
+      return date ? moment(date, DATE_FORMAT, true).format(config.dateFormat || DATE_FORMAT) : "";
+    },
+
+    async open(page) {
+      await page.goto(config.url, { waitUntil: "networkidle2", timeout: 60000 });
+      if (config.reloadAfterLoad) {
+        await page.reload({ waitUntil: "networkidle2" });
+      }
+      if (form.pageSize) {
+        await page.waitForSelector(form.pageSize.selector, { visible: true });
+        await page.select(form.pageSize.selector, form.pageSize.value);
+      }
+    },
+
+    async setDateRange(page, fromDate, toDate) {
+      await page.waitForSelector(form.fromDate, { visible: true });
+      await setInputValue(page, form.fromDate, this.formatDate(fromDate));
+      await setInputValue(page, form.toDate, this.formatDate(toDate));
+    },
+
+    async selectDistrict(page, districtCode) {
+      await page.waitForSelector(form.district, { visible: true });
+      await page.select(form.district, districtCode);
+    },
+
+    // Picks the police station whose name matches (compared with normalize);
+    // returns the option's text, or null if the district does not list it
+    async selectPoliceStation(page, name, normalize) {
+      // Picking a district usually posts back and fills this list
+      await page.waitForFunction(
+        (selector) => document.querySelectorAll(`${selector} option`).length > 1,
+        { timeout: 60000 },
+        form.policeStation
+      );
+      const options = await page.evaluate(
+        (selector) => Array.from(document.querySelectorAll(`${selector} option`))
+          .map((option) => ({ value: option.value, text: option.innerText.trim() })),
+        form.policeStation
+      );
+      const option = options.find((candidate) => normalize(candidate.text) === normalize(name));
+      if (!option) {
+        return null;
+      }
+      await page.select(form.policeStation, option.value);
+      return option.text;
+    },
+
+    async setFirNumber(page, firNumber) {
+      await page.waitForSelector(form.firNumber, { visible: true });
+      await setInputValue(page, form.firNumber, firNumber);
+    },
+
+    // Resolves true once the result grid shows, false when the portal says
+    // nothing matched; throws if neither happens in time
+    async submitSearch(page) {
+      await page.waitForSelector(form.search, { visible: true });
+      const [, gridLoaded] = await Promise.all([
+        page.click(form.search),
+        waitForGrid(page).then(() => true, () => false)
+      ]);
+      if (gridLoaded) {
+        return true;
+      }
+      const noRecords = await page.evaluate(
+        (pattern) => new RegExp(pattern, "i").test(document.body ? document.body.innerText : ""),
+        noRecordsPattern
+      );
+      if (!noRecords) {
+        throw new Error("Search results did not load within 60 seconds");
+      }
+      return false;
+    },
+
+    // FIR rows of the current results page. data holds the cells in
+    // FIR_COLUMNS order whatever the portal's column order is.
+    async readRows(page) {
+      const rows = await page.evaluate(
+        (gridConfig, downloadConfig) => {
+          const rowElements = Array.from(
+            document.querySelectorAll(`${gridConfig.selector} ${gridConfig.row || "tr"}`)
+          );
+          return rowElements
+            .map((row) => {
+              const cells = Array.from(row.querySelectorAll(gridConfig.cell || "td"));
+              const control = cells[downloadConfig.column]
+                ?.querySelector(downloadConfig.control || "input");
+              return {
+                cells: cells.map((cell) => cell.innerText.trim()),
+                downloadSelector: control?.getAttribute("id") || null
+              };
+            })
+            .filter((row) => row.cells.length === gridConfig.columnCount);
+        },
+        grid,
+        download
+      );
+      return rows.map((row) => ({
+        data: FIR_COLUMNS.map((column) => (columns[column] === undefined ? "" : row.cells[columns[column]] || "")),
+        downloadSelector: row.downloadSelector ? `#${row.downloadSelector}` : null
+      }));
+    },
+
+    // Clicks the link to pageNumber, or the "more pages" link when it is not
+    // shown. Returns { clicked: "page" | "more" | null, reachedPage }.
+    clickPage(page, pageNumber) {
+      return page.evaluate(
+        (itemsSelector, moreText, target) => {
+          const items = Array.from(document.querySelectorAll(itemsSelector));
+          const links = items.filter((item) => item.tagName === "A");
+          const direct = links.find((l) => l.innerText.trim() === String(target));
+          if (direct) {
+            direct.click();
+            return { clicked: "page", reachedPage: target };
+          }
+          const more = [...links].reverse().find((l) => l.innerText.trim() === moreText);
+          if (!more) {
+            return { clicked: null, reachedPage: null };
+          }
+          // "..." opens the first page after the highest page number shown
+          const numbers = items.map((item) => parseInt(item.innerText.trim(), 10)).filter((n) => !isNaN(n));
+          more.click();
+          return { clicked: "more", reachedPage: Math.max(0, ...numbers) + 1 };
+        },
+        pager.items,
+        pager.moreText || "...",
+        pageNumber
+      );
+    },
+
+    waitForGrid,
+    firstRowText,
+
+    async waitForNewRows(page, previousFirstRow) {
+      await page.waitForFunction(
+        (selector, previous) => {
+          const row = document.querySelector(`${selector} tr:nth-child(2)`);
+          return row && row.innerText !== previous;
+        },
+        { timeout: 60000 },
+        grid.selector,
+        previousFirstRow
+      );
+    }
+  };
+}
+
+// Loads every *.json config in dirs; later directories override earlier ones
+function loadPortalAdapters(dirs) {
+  const adapters = {};
+  for (const dir of dirs) {
+    if (!fs.existsSync(dir)) {
+      continue;
+    }
+    for (const file of fs.readdirSync(dir).filter((name) => name.endsWith(".json")).sort()) {
+      const config = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+      adapters[config.name] = createPortalAdapter(config);
+    }
+  }
+  return adapters;
+}
+
+// Accepts one district name, a list of names or "ALL" (case-insensitive),
+// checked against the districts of the portal. Returns [{ name, code }].
+function resolveDistricts(input, portal) {
+  const allowedDistricts = portal.districts;
+  const names = (Array.isArray(input) ? input : [input]).map((name) => String(name).trim());
+  if (names.length === 0 || names.some((name) => !name)) {
+    throw new Error("At least one district name is required.");
+  }
+
+  if (names.some((name) => name.toUpperCase() === "ALL")) {
+    return Object.entries(allowedDistricts).map(([name, code]) => ({ name, code }));
+  }
+
+  const namesByUpperCase = {};
+  Object.keys(allowedDistricts).forEach((name) => {
+    namesByUpperCase[name.toUpperCase()] = name;
+  });
+
+  const districts = [];
+  const unknown = [];
+  names.forEach((requested) => {
+    const name = namesByUpperCase[requested.toUpperCase()];
+    if (!name) {
+      unknown.push(requested);
+    } else if (!districts.some((d) => d.name === name)) {
+      districts.push({ name, code: allowedDistricts[name] });
+    }
+  });
+
+  if (unknown.length > 0) {
+    throw new Error(`Invalid or unsupported district name for ${portal.name}: ${unknown.join(", ")}.`);
+  }
+  return districts;
+}
+
+module.exports = {
+  LEGACY_PORTAL,
+  createPortalAdapter,
+  loadPortalAdapters,
+  resolveDistricts,
+  validatePortalConfig
+};
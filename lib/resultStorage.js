@@ -0,0 +1,319 @@
+// lib/resultStorage.js
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const axios = require("axios");
+
+// Where the ZIPs of finished jobs are kept until their retention runs out,
+// independent of the job directories under ./downloads:
+//
+//   store(jobId, zipPath)          -> moves the ZIP into storage; resolves to
+//                                     { backend, key, size, storedAt }, kept
+//                                     on the job as its result
+//   exists(result)
+//   getDownload(result, fileName)  -> { path } to send or { url } to redirect to
+//   remove(result)
+//   list()                         -> [{ jobId, key }] of every stored ZIP
+//
+// RESULT_STORAGE picks the backend: "local" (the default) keeps the ZIPs in
+// RESULT_ARCHIVE_DIR, "s3" puts them into a bucket of S3 or an S3-compatible
+// server such as MinIO (see createS3ResultStorage for its settings).
+
+const ZIP_SUFFIX = ".zip";
+
+// rename() cannot cross file systems, e.g. into an archive on another disk
+function moveFile(from, to) {
+  try {
+    fs.renameSync(from, to);
+  } catch (error) {
+    if (error.code !== "EXDEV") {
+      throw error;
+    }
+    fs.copyFileSync(from, to);
+    fs.unlinkSync(from);
+  }
+}
+
+function createLocalResultStorage(dir) {
+  // Keys are file names; anything else in a key is never a path into dir
+  const filePath = (key) => path.join(dir, path.basename(key));
+
+  return {
+    type: "local",
+    describe: () => `local archive ${dir}`,
+
+    async store(jobId, zipPath) {
+      fs.mkdirSync(dir, { recursive: true });
+      const key = `${jobId}${ZIP_SUFFIX}`;
+      moveFile(zipPath, filePath(key));
+      return { backend: "local", key, size: fs.statSync(filePath(key)).size, storedAt: new Date() };
+    },
+
+    async exists(result) {
+      return fs.existsSync(filePath(result.key));
+    },
+
+    async getDownload(result) {
+      return { path: filePath(result.key) };
+    },
+
+    async remove(result) {
+      fs.rmSync(filePath(result.key), { force: true });
+    },
+
+    async list() {
+      if (!fs.existsSync(dir)) {
+        return [];
+      }
+      return fs.readdirSync(dir)
+        .filter((name) => name.endsWith(ZIP_SUFFIX))
+        .map((name) => ({ jobId: name.slice(0, -ZIP_SUFFIX.length), key: name }));
+    }
+  };
+}
+
+// encodeURIComponent leaves !'()* alone; AWS Signature Version 4 does not
+function encodeRfc3986(text) {
+  return encodeURIComponent(text).replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function sha256Hex(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+function hmac(key, data) {
+  return crypto.createHmac("sha256", key).update(data).digest();
+}
+
+// 20130524T000000Z
+function formatAmzDate(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")))
+      .on("error", reject);
+  });
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+// Talks to the bucket with plain HTTP requests signed with AWS Signature
+// Version 4. Path-style URLs (endpoint/bucket/key) are what MinIO and most
+// S3-compatible servers expect; AWS itself also takes bucket.endpoint/key.
+// Downloads are redirects to a presigned URL valid for urlTtlSeconds.
+function createS3ResultStorage({
+  endpoint,
+  region = "us-east-1",
+  bucket,
+  accessKeyId,
+  secretAccessKey,
+  prefix = "fir-results/",
+  forcePathStyle = true,
+  urlTtlSeconds = 900,
+  now = () => new Date()
+}) {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error("The s3 result storage needs a bucket, an access key id and a secret access key.");
+  }
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+
+  function bucketUrl(key = "") {
+    const encodedKey = key.split("/").map(encodeRfc3986).join("/");
+    const url = new URL(base.href);
+    if (forcePathStyle) {
+      url.pathname = `${base.pathname.replace(/\/+$/, "")}/${bucket}${key ? `/${encodedKey}` : ""}`;
+    } else {
+      url.host = `${bucket}.${base.host}`;
+      url.pathname = `/${encodedKey}`;
+    }
+    return url;
+  }
+
+  // The pieces shared by signed headers and presigned URLs
+  function signature(method, url, query, headers, payloadHash, date) {
+    const amzDate = formatAmzDate(date);
+    const scope = `${amzDate.slice(0, 8)}/${region}/s3/aws4_request`;
+    const names = Object.keys(headers).map((name) => name.toLowerCase()).sort();
+    const lowerHeaders = {};
+    Object.entries(headers).forEach(([name, value]) => {
+      lowerHeaders[name.toLowerCase()] = String(value).trim();
+    });
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      Object.entries(query)
+        .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(String(value))])
+        .sort(([a, aValue], [b, bValue]) => (a < b ? -1 : a > b ? 1 : aValue < bValue ? -1 : aValue > bValue ? 1 : 0))
+        .map(([name, value]) => `${name}=${value}`)
+        .join("&"),
+      names.map((name) => `${name}:${lowerHeaders[name]}\n`).join(""),
+      names.join(";"),
+      payloadHash
+    ].join("\n");
+    const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256Hex(canonicalRequest)].join("\n");
+    const signingKey = ["s3", "aws4_request"].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${secretAccessKey}`, amzDate.slice(0, 8)), region)
+    );
+    return {
+      credential: `${accessKeyId}/${scope}`,
+      signedHeaders: names.join(";"),
+      value: crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex")
+    };
+  }
+
+  function presign(method, key, expiresSeconds, extraQuery = {}) {
+    const url = bucketUrl(key);
+    const date = now();
+    const amzDate = formatAmzDate(date);
+    const query = {
+      ...extraQuery,
+      "X-Amz-Algorithm": "AWS4-HMAC-SHA256",
+      "X-Amz-Credential": `${accessKeyId}/${amzDate.slice(0, 8)}/${region}/s3/aws4_request`,
+      "X-Amz-Date": amzDate,
+      "X-Amz-Expires": String(expiresSeconds),
+      "X-Amz-SignedHeaders": "host"
+    };
+    const signed = signature(method, url, query, { host: url.host }, "UNSIGNED-PAYLOAD", date);
+    url.search = Object.entries({ ...query, "X-Amz-Signature": signed.value })
+      .map(([name, value]) => `${encodeRfc3986(name)}=${encodeRfc3986(value)}`)
+      .join("&");
+    return url.href;
+  }
+
+  async function request(method, key, { query = {}, headers = {}, data, payloadHash = sha256Hex("") } = {}) {
+    const url = bucketUrl(key);
+    const date = now();
+    const allHeaders = { ...headers, host: url.host, "x-amz-content-sha256": payloadHash, "x-amz-date": formatAmzDate(date) };
+    const signed = signature(method, url, query, allHeaders, payloadHash, date);
+    url.search = new URLSearchParams(query).toString();
+    const { host, ...sentHeaders } = allHeaders;
+    return axios({
+      method,
+      url: url.href,
+      data,
+      headers: {
+        ...sentHeaders,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${signed.credential}, SignedHeaders=${signed.signedHeaders}, Signature=${signed.value}`
+      },
+      responseType: "text",
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      validateStatus: () => true
+    });
+  }
+
+  function failure(action, key, response) {
+    const code = /<Code>(.*?)<\/Code>/.exec(response.data || "");
+    return new Error(`S3 ${action} of ${key || bucket} failed with status ${response.status}${code ? ` (${code[1]})` : ""}`);
+  }
+
+  return {
+    type: "s3",
+    describe: () => `S3 bucket ${bucket} at ${base.host}`,
+
+    async store(jobId, zipPath) {
+      const key = `${prefix}${jobId}${ZIP_SUFFIX}`;
+      const size = fs.statSync(zipPath).size;
+      const response = await request("PUT", key, {
+        headers: { "content-type": "application/zip", "content-length": size },
+        data: fs.createReadStream(zipPath),
+        payloadHash: await hashFile(zipPath)
+      });
+      if (response.status !== 200) {
+        throw failure("upload", key, response);
+      }
+      fs.unlinkSync(zipPath);
+      return { backend: "s3", key, size, storedAt: new Date() };
+    },
+
+    async exists(result) {
+      const response = await request("HEAD", result.key);
+      if (response.status === 404) {
+        return false;
+      }
+      if (response.status !== 200) {
+        throw failure("lookup", result.key, response);
+      }
+      return true;
+    },
+
+    async getDownload(result, fileName = null) {
+      const query = fileName ? { "response-content-disposition": `attachment; filename="${fileName}"` } : {};
+      return { url: presign("GET", result.key, urlTtlSeconds, query) };
+    },
+
+    async remove(result) {
+      const response = await request("DELETE", result.key);
+      if (response.status !== 204 && response.status !== 200 && response.status !== 404) {
+        throw failure("delete", result.key, response);
+      }
+    },
+
+    async list() {
+      const stored = [];
+      let continuationToken = null;
+      do {
+        const query = { "list-type": "2", prefix };
+        if (continuationToken) {
+          query["continuation-token"] = continuationToken;
+        }
+        const response = await request("GET", "", { query });
+        if (response.status !== 200) {
+          throw failure("listing", "", response);
+        }
+        for (const [, key] of response.data.matchAll(/<Key>(.*?)<\/Key>/g)) {
+          const decoded = decodeXml(key);
+          if (decoded.endsWith(ZIP_SUFFIX)) {
+            stored.push({ jobId: decoded.slice(prefix.length, -ZIP_SUFFIX.length), key: decoded });
+          }
+        }
+        const next = /<NextContinuationToken>(.*?)<\/NextContinuationToken>/.exec(response.data);
+        continuationToken = /<IsTruncated>true<\/IsTruncated>/.test(response.data) && next ? decodeXml(next[1]) : null;
+      } while (continuationToken);
+      return stored;
+    }
+  };
+}
+
+function createResultStorage({
+  type = process.env.RESULT_STORAGE || "local",
+  dir = path.resolve(process.env.RESULT_ARCHIVE_DIR || "./archive"),
+  s3 = {
+    endpoint: process.env.S3_ENDPOINT,
+    region: process.env.S3_REGION || "us-east-1",
+    bucket: process.env.S3_BUCKET,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    prefix: process.env.S3_PREFIX !== undefined ? process.env.S3_PREFIX : "fir-results/",
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== "false",
+    urlTtlSeconds: parseInt(process.env.S3_URL_TTL_SECONDS, 10) || 900
+  }
+} = {}) {
+  if (type === "local") {
+    return createLocalResultStorage(dir);
+  }
+  if (type === "s3") {
+    return createS3ResultStorage(s3);
+  }
+  throw new Error(`Unknown RESULT_STORAGE type: ${type}`);
+}
+
+module.exports = {
+  createResultStorage,
+  createLocalResultStorage,
+  createS3ResultStorage
+};
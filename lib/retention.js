@@ -0,0 +1,43 @@
+// lib/retention.js
+
+// How long finished jobs keep their files. Retentions are hours from the
+// request, the expiry itself is kept on the job as expiresAt and a timer
+// deletes the job once it has passed.
+
+// setTimeout fires at once for delays above 2^31-1 ms (about 24.8 days), so
+// longer retentions wait in steps of at most this long
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+// retentionHours of a job request; null when it has none
+function parseRetentionHours(value, maxHours) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const hours = Number(value);
+  if (!Number.isFinite(hours) || hours <= 0 || hours > maxHours) {
+    throw new Error(`retentionHours must be a number of hours above 0 and up to ${maxHours}.`);
+  }
+  return hours;
+}
+
+// How long the next cleanup timer for expiresAt should wait
+function nextTimerDelayMs(expiresAt, now = Date.now()) {
+  return Math.min(Math.max(0, new Date(expiresAt) - now), MAX_TIMER_DELAY_MS);
+}
+
+// Minutes from now until expiresAt pushed back by minutes; throws when that
+// is more than maxHours from now
+function extendRetentionMinutes(expiresAt, minutes, maxHours, now = Date.now()) {
+  const remainingMinutes = Math.max(0, (new Date(expiresAt) - now) / 60000);
+  if (remainingMinutes + minutes > maxHours * 60) {
+    throw new Error(`Jobs are kept at most ${maxHours} hours from now; this job has ${Math.floor(remainingMinutes)} minutes left.`);
+  }
+  return remainingMinutes + minutes;
+}
+
+module.exports = {
+  MAX_TIMER_DELAY_MS,
+  parseRetentionHours,
+  nextTimerDelayMs,
+  extendRetentionMinutes
+};
@@ -0,0 +1,25 @@
+// lib/retry.js
+
+// Calls fn(attempt) until it resolves, at most maxAttempts times, waiting
+// retryDelayMs * 2^(attempt - 1) after each failure. Errors for which
+// shouldRetry returns false, and the error of the last attempt, are thrown.
+// onRetry(error, attempt, delayMs) hears about every retried failure.
+async function withRetries(fn, { maxAttempts = 3, retryDelayMs = 2000, shouldRetry = () => true, onRetry = () => {} } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= maxAttempts || !shouldRetry(error)) {
+        error.attempts = attempt;
+        throw error;
+      }
+      const delayMs = retryDelayMs * 2 ** (attempt - 1);
+      onRetry(error, attempt, delayMs);
+      await new Promise((r) => setTimeout(r, delayMs));
+    }
+  }
+}
+
+module.exports = {
+  withRetries
+};
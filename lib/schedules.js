@@ -0,0 +1,162 @@
+// lib/schedules.js
+
+const moment = require("moment-timezone");
+const { DATE_FORMAT, TIMEZONE } = require("./dateWindows");
+
+// Recurrence uses the usual five cron fields, evaluated in Asia/Kolkata:
+//
+//   minute hour day-of-month month day-of-week
+//   "30 6 * * *"      every day at 06:30
+//   "0 7 * * 1"       Mondays at 07:00
+//   "0 */6 * * 1-5"   every 6 hours on weekdays
+//
+// Fields accept *, numbers, lists (1,15), ranges (1-5) and steps (*/6, 1-10/2).
+// @hourly, @daily, @weekly and @monthly are shortcuts.
+
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 }
+];
+
+const CRON_SHORTCUTS = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *"
+};
+
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid cron ${name} "${part}".`);
+    }
+    const start = match[1] === "*" ? min : Number(match[2]);
+    const end = match[1] === "*" ? max : match[3] !== undefined ? Number(match[3]) : match[4] ? max : start;
+    const step = match[4] ? Number(match[4]) : 1;
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Cron ${name} "${part}" must be an ascending range within ${min}-${max}.`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+function parseCron(expression) {
+  const text = String(expression || "").trim();
+  const fields = (CRON_SHORTCUTS[text] || text).split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Cron expression "${text}" needs 5 fields: minute hour day-of-month month day-of-week.`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, idx) => parseCronField(field, CRON_FIELDS[idx]));
+  // 7 is Sunday too
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // As in cron, a restricted day-of-month and day-of-week match if either does
+    anyDayOfMonth: fields[2] === "*",
+    anyDayOfWeek: fields[4] === "*"
+  };
+}
+
+// Shortest gap in minutes between two runs of the expression, taken from the
+// times of day it allows; the gap across midnight counts even if the next day
+// does not match.
+function cronIntervalMinutes(expression) {
+  const cron = parseCron(expression);
+  const times = [...cron.hours].flatMap((hour) => [...cron.minutes].map((minute) => hour * 60 + minute)).sort((a, b) => a - b);
+  let shortest = times[0] + 24 * 60 - times[times.length - 1];
+  for (let i = 1; i < times.length; i++) {
+    shortest = Math.min(shortest, times[i] - times[i - 1]);
+  }
+  return shortest;
+}
+
+function dayMatches(cron, time) {
+  const domMatch = cron.daysOfMonth.has(time.date());
+  const dowMatch = cron.daysOfWeek.has(time.day());
+  if (cron.anyDayOfMonth || cron.anyDayOfWeek) {
+    return domMatch && dowMatch;
+  }
+  return domMatch || dowMatch;
+}
+
+// First time strictly after `after` that matches the expression, or null
+function nextCronRun(expression, after = new Date()) {
+  const cron = parseCron(expression);
+  const time = moment.tz(after, TIMEZONE).startOf("minute").add(1, "minute");
+  // Long enough for "29 February" schedules
+  const limit = time.clone().add(5, "years");
+
+  while (time.isBefore(limit)) {
+    if (!cron.months.has(time.month() + 1)) {
+      time.add(1, "month").startOf("month");
+    } else if (!dayMatches(cron, time)) {
+      time.add(1, "day").startOf("day");
+    } else if (!cron.hours.has(time.hour())) {
+      time.add(1, "hour").startOf("hour");
+    } else if (!cron.minutes.has(time.minute())) {
+      time.add(1, "minute");
+    } else {
+      return time.toDate();
+    }
+  }
+  return null;
+}
+
+// Date ranges relative to the day a schedule runs, in Asia/Kolkata.
+// "last N days" means the N full days before today, e.g. "last 7 days" run
+// on a Monday covers the previous Monday to Sunday.
+function resolveRelativeRange(spec, now = new Date()) {
+  const text = String(spec || "").trim().toLowerCase().replace(/[-_\s]+/g, " ");
+  const today = moment.tz(now, TIMEZONE).startOf("day");
+  let from;
+  let to;
+
+  const lastDays = /^last (\d+) days?$/.exec(text);
+  if (text === "today") {
+    from = today.clone();
+    to = today.clone();
+  } else if (text === "yesterday") {
+    from = today.clone().subtract(1, "day");
+    to = from.clone();
+  } else if (lastDays) {
+    const days = Number(lastDays[1]);
+    if (days < 1 || days > 366) {
+      throw new Error(`"${spec}" must cover between 1 and 366 days.`);
+    }
+    to = today.clone().subtract(1, "day");
+    from = to.clone().subtract(days - 1, "days");
+  } else if (text === "this month") {
+    from = today.clone().startOf("month");
+    to = today.clone();
+  } else if (text === "last month") {
+    from = today.clone().subtract(1, "month").startOf("month");
+    to = from.clone().endOf("month");
+  } else {
+    throw new Error(`Unknown date range "${spec}". Use today, yesterday, last N days, this month or last month.`);
+  }
+
+  return { fromDate: from.format(DATE_FORMAT), toDate: to.format(DATE_FORMAT) };
+}
+
+module.exports = {
+  parseCron,
+  cronIntervalMinutes,
+  nextCronRun,
+  resolveRelativeRange
+};
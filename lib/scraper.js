@@ -0,0 +1,1406 @@
+// lib/scraper.js
+
+const puppeteer = require("puppeteer");
+const fs = require("fs");
+const path = require("path");
+const archiver = require("archiver");
+const { compileSectionFilter, normalizeText } = require("./sectionFilters");
+const {
+  createManifestEntry,
+  firKey,
+  manifestEntryKey,
+  readManifestEntries,
+  summarizeEntries,
+  writeFailedReport,
+  writeManifest,
+  writeSummary,
+  writeTargetReport
+} = require("./manifest");
+const { withRetries } = require("./retry");
+const { buildJobReport, writeJobReport } = require("./jobReport");
+const { createMetrics } = require("./metrics");
+const { LEGACY_PORTAL } = require("./portalAdapters");
+const {
+  validateDateRange,
+  splitDateRange,
+  formatDateWindow
+} = require("./dateWindows");
+
+// The scraping core: drives a portal in a pooled browser, downloads matching
+// FIRs into a job directory and packages it as a ZIP. It knows nothing about
+// HTTP; the web server (app.js) and the command line (bin/fir-downloader.js)
+// each pass in where jobs live and how their progress is recorded:
+//
+//   jobs        { get, update, progress, updateDistrict, saveCheckpoint,
+//                 publish, stopRequest } for the job records; stopRequest(jobId)
+//                 returns { action: "pause" | "cancel", partialZip } once asked
+//   jobDir      jobId -> directory the job downloads into
+//   zipPath     jobId -> where the job's ZIP is written
+//
+//   createScraper(options) -> { extractAndDownloadFIRs, downloadTargetedFIRs,
+//                               packageJobFiles, zipJobDirectory }
+
+// Chrome as the scraper needs it; used for every pooled browser
+function launchBrowser() {
+  return puppeteer.launch({
+    headless: "new",
+    defaultViewport: null,
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage',
+      '--disable-gpu',
+      '--disable-web-security',
+      '--disable-features=VizDisplayCompositor',
+      '--start-maximized'
+    ]
+  });
+}
+
+function safe(name) {
+  return String(name)
+    .replace(/[\\/:*?"<>|]/g, "_")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Path for a FIR's PDF in dir, named after district, station, year, FIR
+// number and registration date, with "(n)" added if the name is taken
+function getFirFilePath(dir, cells) {
+  const firNumberRaw = cells[7].split("/");
+  const field2 = safe(cells[2] || "field2");
+  const field3 = safe(cells[3] || "field3");
+  const field4 = safe(cells[4] || "field4");
+  const field6 = safe(cells[6] || "field6");
+  
+  const newFileName = `${field2}_${field3}_${field4}_${(firNumberRaw)}_${field6}.pdf`;
+
+  let finalPath = path.join(dir, newFileName);
+  let i = 1;
+  while (fs.existsSync(finalPath)) {
+    const ext = path.extname(newFileName);
+    const base = path.basename(newFileName, ext);
+    finalPath = path.join(dir, `${base}(${i})${ext}`);
+    i++;
+  }
+  return finalPath;
+}
+
+function getDistrictFolderName(district) {
+  return safe(district.name).replace(/[ ,]+/g, "_");
+}
+
+// Lists files below dir as ZIP-style relative paths ("AKOLA/x.pdf")
+function listRelativeFiles(dir, prefix = "") {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((item) => {
+    const relativePath = prefix ? `${prefix}/${item.name}` : item.name;
+    return item.isDirectory()
+      ? listRelativeFiles(path.join(dir, item.name), relativePath)
+      : [relativePath];
+  });
+}
+
+// One matching row of a scan job, as returned by /jobs/:jobId/scan-results
+function buildScanResult(entry) {
+  return {
+    key: manifestEntryKey(entry),
+    dateWindow: entry.dateWindow,
+    page: entry.page,
+    row: entry.row,
+    district: entry.district,
+    policeStation: entry.policeStation,
+    year: entry.year,
+    firNo: entry.firNo,
+    firNumber: entry.firNumber,
+    registrationDate: entry.registrationDate,
+    acts: entry.acts,
+    sections: entry.sections,
+    matchedRule: entry.matchedRule
+  };
+}
+
+function getJobDistrictNames(job) {
+  return (job.params.districts || [{ name: job.params.districtName }]).map((district) => district.name);
+}
+
+// Describes the job at the top of its summary report
+function reportMeta(job, partial) {
+  return {
+    jobId: job.id,
+    mode: job.params.mode || 'download',
+    portal: job.params.portal || LEGACY_PORTAL,
+    fromDate: job.params.fromDate,
+    toDate: job.params.toDate,
+    districts: getJobDistrictNames(job),
+    sectionFilter: job.params.sectionFilter.label,
+    partial
+  };
+}
+
+// Targeted jobs report one row per requested FIR; found ones count as matched
+function targetReportEntries(results) {
+  return results.map((result) => ({
+    district: result.district,
+    policeStation: result.portalPoliceStation || result.policeStation,
+    registrationDate: result.registrationDate,
+    acts: result.acts,
+    sections: result.sections,
+    matched: result.status === "found",
+    status: result.status === "found" ? "downloaded" : result.status
+  }));
+}
+
+// Result row of one requested FIR, before it has been looked up
+function createTargetResult(target) {
+  return {
+    district: target.district.name,
+    policeStation: target.policeStation,
+    firNumber: target.firNumber,
+    year: target.year,
+    status: "pending",
+    source: null,
+    fileName: null,
+    portalPoliceStation: null,
+    portalFirNumber: null,
+    registrationDate: null,
+    acts: null,
+    sections: null,
+    attempts: 0,
+    failureReason: null
+  };
+}
+
+// Portal FIR numbers come zero-padded or with the year attached (0012/2024)
+function parseFirNumber(text) {
+  const match = /\d+/.exec(String(text || ""));
+  return match ? parseInt(match[0], 10) : null;
+}
+
+function rowMatchesTarget(cells, target) {
+  const entry = createManifestEntry(cells, null, null);
+  const wanted = parseFirNumber(target.firNumber);
+  return String(entry.year).trim() === target.year &&
+    normalizeText(entry.policeStation) === normalizeText(target.policeStation) &&
+    (parseFirNumber(entry.firNo) === wanted || parseFirNumber(entry.firNumber) === wanted);
+}
+
+// Validates a job's date range and splits it into portal-sized windows.
+// maxTotalDays limits the whole range. Returns { error } or { dateWindows }.
+function planDateWindows(fromDate, toDate, portal, { maxTotalDays } = {}) {
+  const dateError = validateDateRange(fromDate, toDate, { maxDays: maxTotalDays });
+  if (dateError) {
+    return { error: dateError };
+  }
+
+  // Long ranges run as several portal-sized windows; each must pass the portal limit
+  const dateWindows = splitDateRange(fromDate, toDate, portal.maxRangeDays);
+  for (const window of dateWindows) {
+    const windowError = validateDateRange(window.fromDate, window.toDate, { maxDays: portal.maxRangeDays });
+    if (windowError) {
+      return { error: `Invalid date window ${formatDateWindow(window)}: ${windowError}` };
+    }
+  }
+  return { dateWindows };
+}
+
+function createScraper({
+  jobs,
+  browserPool,
+  firLibrary,
+  firSearch,
+  jobLogs,
+  getPortalAdapter,
+  jobDir,
+  zipPath,
+  downloadTimeoutMs = 120000,
+  downloadMaxAttempts = 3,
+  navigationMaxAttempts = 3,
+  retryDelayMs = 2000,
+  maxFailureSnapshots = 5,
+  metrics = createMetrics()
+}) {
+  const firsScannedTotal = metrics.counter("fir_firs_scanned_total", "Result rows read from the portal", ["district"]);
+  const firsMatchedTotal = metrics.counter("fir_firs_matched_total", "Result rows that matched the section filter of their job", ["district"]);
+  const firsDownloadedTotal = metrics.counter("fir_firs_downloaded_total", "FIR PDFs saved into a job, from the portal or the FIR library", ["district", "source"]);
+  const downloadSeconds = metrics.histogram("fir_download_duration_seconds", "Time from clicking a download button until the PDF was complete", [], [1, 2, 5, 10, 20, 30, 60, 90]);
+  const downloadTimeoutsTotal = metrics.counter("fir_download_timeouts_total", "PDF downloads that did not finish within DOWNLOAD_TIMEOUT_MS");
+  const navigationSeconds = metrics.histogram("fir_page_navigation_duration_seconds", "Time per attempt of a portal search, page change or FIR lookup", ["portal", "step"]);
+
+  // A cancel asked for the files downloaded so far
+  function wantsPartialZip(jobId) {
+    const control = jobs.stopRequest(jobId);
+    return Boolean(control && control.partialZip);
+  }
+
+  // The job was paused or cancelled, as opposed to running to the end
+  function wasStopped(jobId) {
+    const control = jobs.stopRequest(jobId);
+    return Boolean(control && control.stoppedAt);
+  }
+
+  function throwIfJobStopped(jobId) {
+    const control = jobs.stopRequest(jobId);
+    if (!control) {
+      return;
+    }
+    control.stoppedAt = control.stoppedAt || new Date();
+    const error = new Error(control.action === 'cancel' ? 'Job cancelled by user' : 'Job paused by user');
+    error.jobStop = control.action;
+    throw error;
+  }
+
+  function ensureJobDownloadDir(jobId, { keepExisting = false } = {}) {
+    const jobDownloadPath = jobDir(jobId);
+    const log = jobLogs.forJob(jobId);
+    log.debug(`📁 Ensuring download directory for job ${jobId}...`);
+
+    if (fs.existsSync(jobDownloadPath) && !keepExisting) {
+      log.info(`🗑️ Removing existing job directory: ${jobDownloadPath}`);
+      fs.rmSync(jobDownloadPath, { recursive: true, force: true });
+    }
+
+    fs.mkdirSync(jobDownloadPath, { recursive: true });
+    log.debug(`✅ Job download directory ready: ${jobDownloadPath}`);
+    return jobDownloadPath;
+  }
+
+  // Walks the results pager from page 1 to targetPage. Only a window of page
+  // links is rendered at a time, so distant pages are reached via "..." links.
+  async function goToResultPage(page, log, targetPage, portal) {
+    let currentPage = 1;
+
+    while (currentPage < targetPage) {
+      const previousFirstRow = await portal.firstRowText(page);
+      const { reachedPage } = await portal.clickPage(page, targetPage);
+      if (!reachedPage) {
+        throw new Error(`Could not reach results page ${targetPage}; the pager ends at page ${currentPage}`);
+      }
+
+      log.info(`⏩ Jumping to page ${reachedPage} of ${targetPage}...`);
+      await portal.waitForNewRows(page, previousFirstRow);
+      currentPage = reachedPage;
+    }
+  }
+
+  // Keeps a screenshot and the HTML of the page next to the job's log, so a
+  // failure can be looked at after the browser has moved on. Capturing never
+  // fails the job; a hung page gives up after 15 seconds.
+  async function captureFailureSnapshot(page, jobId, log, label) {
+    const taken = jobLogs.listFiles(jobId).filter((name) => name.endsWith(".png")).length;
+    if (taken >= maxFailureSnapshots) {
+      return;
+    }
+    const dir = jobLogs.diagnosticsDir(jobId);
+    const baseName = `snapshot-${new Date().toISOString().replace(/[:.]/g, "-")}-${label.replace(/[^a-z0-9-]+/gi, "_")}`;
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      let timer;
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error("timed out")), 15000);
+      });
+      try {
+        await Promise.race([
+          (async () => {
+            fs.writeFileSync(path.join(dir, `${baseName}.html`), await page.content(), "utf8");
+            await page.screenshot({ path: path.join(dir, `${baseName}.png`), fullPage: true });
+          })(),
+          timeout
+        ]);
+      } finally {
+        clearTimeout(timer);
+      }
+      log.warn(`📸 Saved failure snapshot ${baseName}.png/.html`, { snapshot: baseName });
+    } catch (error) {
+      log.warn(`⚠️ Could not capture a failure snapshot: ${error.message}`);
+    }
+  }
+
+  // job.log and the failure snapshots go into logs/ of the ZIP of a partial job
+  // or one with failed FIRs
+  function copyJobLogs(jobId, jobDownloadPath) {
+    const logsDir = path.join(jobDownloadPath, "logs");
+    fs.mkdirSync(logsDir, { recursive: true });
+    jobLogs.listFiles(jobId).forEach((name) => {
+      fs.copyFileSync(path.join(jobLogs.diagnosticsDir(jobId), name), path.join(logsDir, name));
+    });
+  }
+
+  // Retries one portal step; pause and cancel requests are never retried
+  function retryPortalStep(log, label, maxAttempts, fn) {
+    return withRetries(fn, {
+      maxAttempts,
+      retryDelayMs,
+      shouldRetry: (error) => !error.jobStop,
+      onRetry: (error, attempt, delayMs) => {
+        log.warn(`🔁 ${label} failed (attempt ${attempt}/${maxAttempts}): ${error.message}. Retrying in ${delayMs} ms...`);
+      }
+    });
+  }
+
+  // Wraps one attempt of a portal step so its duration ends up in
+  // fir_page_navigation_duration_seconds, failed attempts included
+  function timeNavigation(portal, step, fn) {
+    return async (...args) => {
+      const start = Date.now();
+      try {
+        return await fn(...args);
+      } finally {
+        navigationSeconds.observe({ portal: portal.name, step }, (Date.now() - start) / 1000);
+      }
+    };
+  }
+
+  async function waitForDownloadedPdf(downloadDir, beforeSet, timeoutMs, log) {
+    log.debug(`⏳ Waiting for PDF download in: ${downloadDir}...`);
+    const start = Date.now();
+    let lastSize = 0;
+    let stableCount = 0;
+
+    while (Date.now() - start < timeoutMs) {
+      if (!fs.existsSync(downloadDir)) {
+        log.debug(`📁 Download directory doesn't exist yet: ${downloadDir}`);
+        await new Promise((r) => setTimeout(r, 1000));
+        continue;
+      }
+
+      const files = fs
+        .readdirSync(downloadDir)
+        .filter((f) => f.endsWith(".pdf") && !beforeSet.has(f));
+
+      if (files.length > 0) {
+        const latest = files.sort(
+          (a, b) =>
+            fs.statSync(path.join(downloadDir, b)).mtimeMs -
+            fs.statSync(path.join(downloadDir, a)).mtimeMs
+        )[0];
+        const full = path.join(downloadDir, latest);
+        const size = fs.statSync(full).size;
+
+        log.debug(`📄 Found file: ${latest} (${size} bytes)`);
+
+        if (size === lastSize) {
+          stableCount += 1;
+          log.debug(`⏱️ File size stable for ${stableCount} checks`);
+        } else {
+          stableCount = 0;
+          lastSize = size;
+          log.debug(`📈 File size changed to ${size} bytes`);
+        }
+
+        if (stableCount >= 3) {
+          log.info(`✅ File download completed: ${latest}`);
+          downloadSeconds.observe({}, (Date.now() - start) / 1000);
+          return latest;
+        }
+      } else {
+        log.debug(`🔍 No new PDF files found in ${downloadDir}...`);
+      }
+
+      await new Promise((r) => setTimeout(r, 1000));
+    }
+    log.warn("⏰ Download timeout reached");
+    downloadTimeoutsTotal.inc();
+    return null;
+  }
+
+  // Points Chrome's downloads at dir. Browser.setDownloadBehavior is preferred;
+  // older Chrome builds only support the Page-level variant.
+  async function setDownloadDirectory(client, dir, log) {
+    const absPath = path.resolve(dir);
+    log.debug(`📂 Download path: ${absPath}`);
+
+    try {
+      await client.send("Browser.setDownloadBehavior", {
+        behavior: "allow",
+        downloadPath: absPath
+      });
+      log.debug(`✅ Browser.setDownloadBehavior configured successfully`);
+      return;
+    } catch (e) {
+      log.warn(`⚠️ Browser.setDownloadBehavior failed, trying Page.setDownloadBehavior...`);
+    }
+
+    try {
+      await client.send("Page.setDownloadBehavior", {
+        behavior: "allow",
+        downloadPath: absPath
+      });
+      log.debug(`✅ Page.setDownloadBehavior configured successfully`);
+    } catch (e) {
+      log.warn(`⚠️ Page.setDownloadBehavior also failed, relying on default downloads`);
+    }
+  }
+
+  // Clicks the download button of a result row, waits for the PDF, renames it
+  // and stores it in the FIR library. Returns the final path, or null when the
+  // download failed or timed out.
+  async function fetchFirPdf(page, jobId, { fir, key, districtDir, folderName, log }) {
+    log.debug(`📥 Attempting download for selector: ${fir.downloadSelector}`);
+    const filesBefore = new Set(fs.readdirSync(districtDir));
+    log.debug(`📁 Files before download: ${filesBefore.size}`);
+
+    await page.click(fir.downloadSelector);
+    log.debug(`🖱️ Download button clicked`);
+
+    const downloadedFile = await waitForDownloadedPdf(
+      districtDir,
+      filesBefore,
+      downloadTimeoutMs,
+      log
+    );
+
+    // Keep the portal's pace between download attempts
+    log.debug(`⏳ Waiting 1 second before next download...`);
+    await new Promise((r) => setTimeout(r, 1000));
+
+    if (!downloadedFile) {
+      log.warn(`❌ Download failed or timed out`);
+      return null;
+    }
+
+    log.info(`✅ File downloaded: ${downloadedFile}`);
+    const finalPath = getFirFilePath(districtDir, fir.data);
+    log.debug(`📝 Renaming to: ${path.basename(finalPath)}`);
+    fs.renameSync(path.join(districtDir, downloadedFile), finalPath);
+    log.debug(`✅ File renamed to: ${path.basename(finalPath)}`);
+
+    const details = createManifestEntry(fir.data, null, null);
+    firLibrary.add(key, finalPath, {
+      folder: folderName,
+      jobId,
+      ownerId: jobs.get(jobId).ownerId || null,
+      district: details.district,
+      policeStation: details.policeStation,
+      firNumber: details.firNumber,
+      year: details.year,
+      registrationDate: details.registrationDate,
+      acts: details.acts,
+      sections: details.sections
+    });
+    // Text extraction runs in the background so it never slows the scraper down
+    firSearch.indexFile(key).catch((error) => {
+      log.error(`❌ Could not extract text from ${path.basename(finalPath)}: ${error.message}`);
+    });
+    return finalPath;
+  }
+
+  // fetchFirPdf with retries. Attempts after the first look the row up again
+  // with findRow(), which may search again if the portal dropped the session.
+  // Throws the last failure once downloadMaxAttempts are used up.
+  function downloadWithRetries(page, jobId, { fir, key, districtDir, folderName, log, findRow, onAttempt = () => {} }) {
+    return retryPortalStep(log, `Download of ${key}`, downloadMaxAttempts, async (attempt) => {
+      onAttempt(attempt);
+      throwIfJobStopped(jobId);
+      const row = attempt === 1 ? fir : await findRow();
+      const finalPath = await fetchFirPdf(page, jobId, { fir: row, key, districtDir, folderName, log });
+      if (!finalPath) {
+        throw new Error("Download failed or timed out");
+      }
+      return finalPath;
+    });
+  }
+
+  // Searches one district and walks all of its result pages, downloading the
+  // rows that match the section filter into districtDir. Returns the district's
+  // manifest entries; progress.totalDownloaded is shared by all districts of a job.
+  async function scrapeDistrict(page, jobId, context) {
+    const {
+      fromDate,
+      toDate,
+      dateWindow,
+      currentWindow,
+      seenKeys,
+      district,
+      districtIndex,
+      districtDir,
+      folderName,
+      portal,
+      sectionFilter,
+      newOnly,
+      scanOnly,
+      selectedKeys,
+      checkpoint,
+      progress,
+      startTime,
+      manifestEntries
+    } = context;
+    const districtCode = district.code;
+    let totalDownloaded = progress.totalDownloaded;
+    const log = jobLogs.forJob(jobId, { district: district.name, window: currentWindow.index });
+
+    // Opens the portal and searches the district; false when nothing matched
+    async function runSearch() {
+      jobs.progress(jobId, `🔗 Connecting to ${portal.label}...`, { totalDownloaded });
+      log.info(`🔗 Opening ${portal.name} portal: ${portal.url}`);
+      await portal.open(page);
+      log.debug(`✅ Search form ready`);
+
+      jobs.progress(jobId, `📅 Setting date range: ${fromDate} to ${toDate}${currentWindow.total > 1 ? ` (window ${currentWindow.index}/${currentWindow.total})` : ""}...`, { totalDownloaded });
+      log.debug(`📅 Setting dates: ${fromDate} to ${toDate}`);
+      await portal.setDateRange(page, fromDate, toDate);
+
+      log.debug(`🏛️ Setting district: ${districtCode}`);
+      await portal.selectDistrict(page, districtCode);
+      log.debug(`✅ District selected`);
+
+      jobs.progress(jobId, "🔍 Executing search query...", { totalDownloaded });
+      log.debug(`🔍 Clicking search button...`);
+      try {
+        return await portal.submitSearch(page);
+      } catch (error) {
+        throw new Error(`${error.message} for ${district.name}`);
+      }
+    }
+
+    // Searches again and walks back to targetPage, for when the portal lost
+    // the session or a page did not load
+    async function reopenResultPage(targetPage) {
+      log.info(`🔁 Re-running the search to get back to page ${targetPage}...`);
+      if (!(await runSearch())) {
+        throw new Error(`The search for ${district.name} no longer returns results`);
+      }
+      if (targetPage > 1) {
+        await goToResultPage(page, log, targetPage, portal);
+      }
+    }
+
+    // The row of FIR key on the current page, searching again if it is gone
+    async function findRowAgain(key) {
+      const rows = await portal.readRows(page).catch(() => []);
+      let row = rows.find((candidate) => firKey(candidate.data) === key);
+      if (!row) {
+        await reopenResultPage(pageIndex);
+        row = (await portal.readRows(page)).find((candidate) => firKey(candidate.data) === key);
+      }
+      if (!row || !row.downloadSelector) {
+        throw new Error(`FIR ${key} is no longer listed on page ${pageIndex}`);
+      }
+      return row;
+    }
+
+    const gridLoaded = await retryPortalStep(log, `Search in ${district.name}`, navigationMaxAttempts, timeNavigation(portal, "search", () => runSearch()));
+
+    if (!gridLoaded) {
+      // Districts without FIRs in the range show a message instead of the grid
+      log.info(`📭 No FIRs registered in ${district.name} for this date range`);
+      progress.totalDownloaded = totalDownloaded;
+      return manifestEntries;
+    }
+    log.info(`✅ Search completed, results loaded`);
+
+    jobs.progress(jobId, `🎯 Scanning for ${sectionFilter.label} matches...`, { totalDownloaded });
+    log.info(`🎯 Section filter: ${sectionFilter.label}`);
+
+    let pageIndex = checkpoint.pageIndex;
+    let districtDownloads = manifestEntries.filter((entry) => entry.status === "downloaded").length;
+    let isLastPage = false;
+    const seenFirstRowHashes = new Set();
+
+    if (pageIndex > 1) {
+      jobs.progress(jobId, `⏩ Jumping to checkpoint page ${pageIndex}...`, { totalDownloaded });
+      await retryPortalStep(log, `Jump to page ${pageIndex}`, navigationMaxAttempts, timeNavigation(portal, "page", (attempt) => (attempt === 1
+        ? goToResultPage(page, log, pageIndex, portal)
+        : reopenResultPage(pageIndex))));
+      log.info(`✅ Reached checkpoint page ${pageIndex}`);
+    }
+
+    while (!isLastPage) {
+      const pageLog = log.child({ page: pageIndex });
+      checkpoint.pageIndex = pageIndex;
+      jobs.saveCheckpoint(jobId, checkpoint);
+      throwIfJobStopped(jobId);
+      jobs.updateDistrict(jobId, districtIndex, {
+        currentPage: pageIndex,
+        scanned: manifestEntries.length,
+        matched: manifestEntries.filter((entry) => entry.matched).length,
+        downloaded: districtDownloads,
+        failed: manifestEntries.filter((entry) => entry.status === "failed").length
+      });
+
+      const elapsedMinutes = (Date.now() - startTime) / 60000;
+      const processingSpeed = totalDownloaded > 0 ? `${Math.round(totalDownloaded / elapsedMinutes)} files/min` : 'Calculating...';
+
+      jobs.progress(jobId, `📄 Processing page ${pageIndex}... (Scanning FIR records)`, { 
+        currentPage: pageIndex, 
+        totalDownloaded,
+        processingSpeed
+      });
+      pageLog.info(`📄 Processing page ${pageIndex}...`);
+
+      const firData = await portal.readRows(page);
+
+      pageLog.info(`📊 Found ${firData.length} FIR records on page ${pageIndex}`);
+
+      if (firData.length === 0) {
+        pageLog.info(`❌ No FIR data found, ending pagination`);
+        isLastPage = true;
+        break;
+      }
+
+      if (firData.length > 0) {
+        pageLog.debug(`📝 Sample FIR data (first record):`);
+        firData[0].data.forEach((cell, idx) => {
+          pageLog.debug(`  Column ${idx}: ${cell.substring(0, 100)}${cell.length > 100 ? '...' : ''}`);
+        });
+      }
+
+      const firstRowKey = JSON.stringify(firData[0]);
+      if (seenFirstRowHashes.has(firstRowKey)) {
+        pageLog.info(`🔄 Detected repeated data, ending pagination`);
+        isLastPage = true;
+      } else {
+        seenFirstRowHashes.add(firstRowKey);
+      }
+
+      let pageDownloads = 0;
+      for (const [index, fir] of firData.entries()) {
+        const firLog = pageLog.child({ fir: index + 1 });
+        throwIfJobStopped(jobId);
+
+        // Rows seen in an earlier window or page are skipped; the portal repeats
+        // the last page and may list boundary dates in two windows
+        const key = firKey(fir.data);
+        if (seenKeys.has(key)) {
+          firLog.debug(`🔁 Skipping duplicate row ${key}`);
+          continue;
+        }
+        seenKeys.add(key);
+
+        const manifestEntry = createManifestEntry(fir.data, pageIndex, index + 1, formatDateWindow(dateWindow));
+        manifestEntries.push(manifestEntry);
+        firsScannedTotal.inc({ district: district.name });
+
+        try {
+          const currentElapsedMinutes = (Date.now() - startTime) / 60000;
+          const currentProcessingSpeed = totalDownloaded > 0 ? `${Math.round(totalDownloaded / currentElapsedMinutes)} files/min` : 'Calculating...';
+          const estimatedTimeRemaining = totalDownloaded > 0 ? 
+            `~${Math.round((currentElapsedMinutes / totalDownloaded) * (50 - totalDownloaded))} min remaining` : 
+            'Calculating...';
+
+          jobs.progress(jobId, `📋 Page ${pageIndex}: Analyzing FIR ${index + 1}/${firData.length}`, { 
+            currentPage: pageIndex, 
+            totalDownloaded,
+            processingSpeed: currentProcessingSpeed,
+            estimatedTimeRemaining
+          });
+          firLog.debug(`🔍 Checking FIR ${index + 1}/${firData.length} on page ${pageIndex}`);
+
+          const allText = manifestEntry.acts + " " + manifestEntry.sections;
+
+          firLog.debug(`📋 Section text: ${allText.substring(0, 200)}${allText.length > 200 ? '...' : ''}`);
+
+          const matchedRule = sectionFilter.match(manifestEntry.acts, manifestEntry.sections);
+          if (!matchedRule) {
+            firLog.debug(`⏭️ No section filter match found, skipping`);
+            continue;
+          }
+
+          firLog.info(`✅ Section filter match found (${matchedRule})!`);
+          manifestEntry.matched = true;
+          manifestEntry.matchedRule = matchedRule;
+          firsMatchedTotal.inc({ district: district.name });
+
+          // Downloads of FIRs picked from a scan skip every other match
+          if (selectedKeys && !selectedKeys.has(key)) {
+            firLog.info(`⏭️ Not among the selected FIRs, skipping`);
+            manifestEntry.status = "not-selected";
+            continue;
+          }
+
+          // Scan jobs only list the matches; nothing is clicked
+          if (scanOnly) {
+            manifestEntry.status = "listed";
+            jobs.publish(jobId, "match", {
+              ...buildScanResult(manifestEntry),
+              district: district.name,
+              matchedTotal: manifestEntries.filter((entry) => entry.matched).length
+            });
+            continue;
+          }
+
+          if (checkpoint.downloaded[key]) {
+            firLog.info(`♻️ Already downloaded before resume: ${checkpoint.downloaded[key]}`);
+            manifestEntry.status = "downloaded";
+            manifestEntry.fileName = checkpoint.downloaded[key];
+            continue;
+          }
+
+          // FIRs an earlier job already fetched are copied from the library
+          let finalPath;
+          const known = firLibrary.get(key);
+          if (known && newOnly) {
+            firLog.info(`⏭️ Already in the FIR library (${known.fileName}), skipping because of newOnly`);
+            manifestEntry.status = "known";
+            manifestEntry.source = "library";
+            continue;
+          }
+
+          if (known) {
+            finalPath = getFirFilePath(districtDir, fir.data);
+            firLibrary.copyTo(key, finalPath, { ownerId: jobs.get(jobId).ownerId || null });
+            manifestEntry.source = "library";
+            firLog.info(`📚 Copied from FIR library: ${known.fileName}`);
+          } else {
+            if (!fir.downloadSelector) {
+              firLog.warn(`❌ No download selector found, skipping`);
+              manifestEntry.status = "failed";
+              manifestEntry.failureReason = "No download button in result row";
+              continue;
+            }
+
+            jobs.progress(jobId, `📥 Downloading FIR file ${totalDownloaded + 1}... Please wait`, { 
+              currentPage: pageIndex, 
+              totalDownloaded,
+              processingSpeed: currentProcessingSpeed
+            });
+            try {
+              finalPath = await downloadWithRetries(page, jobId, {
+                fir,
+                key,
+                districtDir,
+                folderName,
+                log: firLog,
+                findRow: () => findRowAgain(key),
+                onAttempt: (attempt) => {
+                  manifestEntry.attempts = attempt;
+                }
+              });
+            } catch (error) {
+              if (error.jobStop) {
+                throw error;
+              }
+              firLog.warn(`❌ Giving up on FIR ${manifestEntry.firNumber} after ${manifestEntry.attempts} attempts: ${error.message}`);
+              manifestEntry.status = "failed";
+              manifestEntry.failureReason = error.message;
+              await captureFailureSnapshot(page, jobId, firLog, `fir-${manifestEntry.firNumber}`);
+              continue;
+            }
+            manifestEntry.source = "portal";
+          }
+
+          manifestEntry.status = "downloaded";
+          // File names are relative to the ZIP root so the combined manifest can find them
+          manifestEntry.fileName = `${folderName}/${path.basename(finalPath)}`;
+          checkpoint.downloaded[key] = manifestEntry.fileName;
+          jobs.saveCheckpoint(jobId, checkpoint);
+
+          pageDownloads++;
+          districtDownloads++;
+          totalDownloaded++; // ✅ Safe increment now that variable is properly scoped
+          firsDownloadedTotal.inc({ district: district.name, source: manifestEntry.source });
+          jobs.publish(jobId, "file", {
+            fileName: manifestEntry.fileName,
+            district: district.name,
+            page: pageIndex,
+            firNumber: manifestEntry.firNumber,
+            matchedRule,
+            source: manifestEntry.source,
+            totalDownloaded
+          });
+
+          const updatedElapsedMinutes = (Date.now() - startTime) / 60000;
+          const updatedProcessingSpeed = `${Math.round(totalDownloaded / updatedElapsedMinutes)} files/min`;
+
+          jobs.progress(jobId, `✅ Downloaded ${totalDownloaded} files successfully`, { 
+            currentPage: pageIndex, 
+            totalDownloaded,
+            processingSpeed: updatedProcessingSpeed
+          });
+        } catch (err) {
+          // Pause and cancel requests noticed while retrying stop the job here
+          if (err.jobStop) {
+            throw err;
+          }
+          firLog.error(`❌ Error processing FIR ${index + 1}: ${err.message}`);
+          if (manifestEntry.matched) {
+            manifestEntry.status = "failed";
+          }
+          manifestEntry.failureReason = err.message;
+        }
+      }
+
+      pageLog.info(`📊 Page ${pageIndex} summary: ${pageDownloads} downloads completed`);
+      // The manifest on disk doubles as the record of scanned pages for resuming
+      writeManifest(districtDir, manifestEntries, {
+        jobId,
+        district: district.name,
+        districtCode,
+        dateWindow: formatDateWindow(dateWindow),
+        partial: true
+      });
+
+      pageIndex++;
+      jobs.progress(jobId, `🔄 Moving to page ${pageIndex}... (${totalDownloaded} files collected so far)`, { 
+        currentPage: pageIndex - 1, 
+        totalDownloaded 
+      });
+      log.debug(`🔄 Attempting to navigate to page ${pageIndex}...`);
+
+      // A retry searches again and walks to the page instead of clicking
+      const pageClicked = await retryPortalStep(log, `Moving to page ${pageIndex}`, navigationMaxAttempts, timeNavigation(portal, "page", async (attempt) => {
+        if (attempt > 1) {
+          await reopenResultPage(pageIndex);
+          return "page";
+        }
+        // The grid stays in the page while the next one loads, so wait until
+        // its rows change instead of for the grid itself
+        const previousFirstRow = await portal.firstRowText(page);
+        const { clicked } = await portal.clickPage(page, pageIndex);
+        if (clicked) {
+          try {
+            await portal.waitForNewRows(page, previousFirstRow);
+          } catch (error) {
+            if (error.name !== "TimeoutError") {
+              throw error;
+            }
+            // The portal may link a page past the last one that shows the
+            // last page again, so its rows never change
+            log.info(`🔄 Page ${pageIndex} still shows the rows of page ${pageIndex - 1}, ending pagination`);
+            return null;
+          }
+        }
+        return clicked;
+      }));
+
+      if (!pageClicked) {
+        log.info(`📄 No more pages to process`);
+        isLastPage = true;
+        break;
+      }
+
+      log.info(`✅ Page ${pageIndex} loaded successfully${pageClicked === "more" ? " (after expanding the pager)" : ""}`);
+    }
+
+    log.info(`🏁 Finished ${district.name}: ${districtDownloads} downloads`);
+    progress.totalDownloaded = totalDownloaded;
+    return manifestEntries;
+  }
+
+  // Writes the job-level manifest, summary and report and zips the job directory
+  // (unless zip is false; then null is returned). Also used for the partial ZIP
+  // of a cancelled job.
+  async function packageJobFiles(jobId, { fromDate, toDate, districts, districtEntries, sectionFilterLabel, partial = false, zip = true }) {
+    const jobDownloadPath = jobDir(jobId);
+    const log = jobLogs.forJob(jobId);
+    const manifestEntries = districtEntries.flat();
+    const totalDownloaded = summarizeEntries(manifestEntries).downloaded;
+    jobs.progress(jobId, `📝 Writing manifest for ${manifestEntries.length} scanned rows...`, { totalDownloaded });
+    writeManifest(jobDownloadPath, manifestEntries, {
+      jobId,
+      fromDate,
+      toDate,
+      districts: districts.map((d) => d.name),
+      sectionFilter: sectionFilterLabel,
+      partial
+    });
+    log.info(`📝 Manifest written (${manifestEntries.length} rows)`);
+
+    writeSummary(
+      jobDownloadPath,
+      districts.map((district, idx) => ({
+        district: district.name,
+        districtCode: district.code,
+        folder: getDistrictFolderName(district),
+        ...summarizeEntries(districtEntries[idx])
+      })),
+      { jobId, fromDate, toDate, sectionFilter: sectionFilterLabel, partial }
+    );
+    log.info(`📝 Summary written for ${districts.length} districts`);
+
+    const failedEntries = manifestEntries.filter((entry) => entry.status === "failed");
+    writeFailedReport(jobDownloadPath, failedEntries, { jobId, fromDate, toDate, partial });
+    log.info(`📝 Failed-items report written (${failedEntries.length} FIRs)`);
+
+    writeJobReport(jobDownloadPath, buildJobReport(manifestEntries, reportMeta(jobs.get(jobId), partial)));
+    log.info(`📊 Summary report written`);
+
+    if (partial || failedEntries.length > 0) {
+      copyJobLogs(jobId, jobDownloadPath);
+    }
+
+    if (!zip) {
+      return null;
+    }
+    jobs.progress(jobId, `🗜️ Creating ZIP file with ${totalDownloaded} documents...`, { totalDownloaded });
+    return zipJobDirectory(jobId);
+  }
+
+  // Zips the whole job directory; returns the ZIP path
+  async function zipJobDirectory(jobId) {
+    const jobDownloadPath = jobDir(jobId);
+    const log = jobLogs.forJob(jobId);
+    log.info(`🗜️ Creating ZIP file...`);
+    const zipFilePath = zipPath(jobId);
+
+    await new Promise((resolve, reject) => {
+      const output = fs.createWriteStream(zipFilePath);
+      const archive = archiver("zip", { zlib: { level: 9 } });
+
+      output.on("close", () => {
+        log.info(`✅ ZIP file created: ${archive.pointer()} total bytes`);
+        resolve();
+      });
+
+      archive.on("error", (err) => {
+        log.error(`❌ ZIP creation error: ${err.message}`);
+        reject(err);
+      });
+
+      archive.pipe(output);
+      archive.directory(jobDownloadPath, false);
+      archive.finalize();
+    });
+
+    log.info(`📦 ZIP file ready at: ${zipFilePath}`);
+    return zipFilePath;
+  }
+
+  // districts is a list of { name, code }. Districts run one after another in
+  // the same browser; each gets its own folder in the job directory and ZIP.
+  // Within a district every date window is searched in turn.
+  async function extractAndDownloadFIRs(fromDate, toDate, districts, jobId, options = {}) {
+    const {
+      portal = getPortalAdapter(),
+      sectionFilter = compileSectionFilter(),
+      resumeFrom = null,
+      newOnly = false,
+      mode = 'download',
+      selectedKeys = null,
+      zip = true
+    } = options;
+    // Ranges longer than the portal allows are searched window by window
+    const dateWindows = splitDateRange(fromDate, toDate, portal.maxRangeDays);
+    const windowIndexByLabel = {};
+    dateWindows.forEach((window, idx) => {
+      windowIndexByLabel[formatDateWindow(window)] = idx;
+    });
+    const log = jobLogs.forJob(jobId);
+    log.info(`🚀 Starting FIR extraction on ${portal.name}: ${fromDate} to ${toDate}, districts: ${districts.map((d) => d.name).join(", ")}, filter: ${sectionFilter.name}`);
+    const startTime = Date.now();
+
+    // Progress of this run; seeded from the checkpoint when resuming
+    const checkpoint = {
+      districtIndex: resumeFrom ? resumeFrom.districtIndex || 0 : 0,
+      windowIndex: resumeFrom ? resumeFrom.windowIndex || 0 : 0,
+      pageIndex: resumeFrom ? resumeFrom.pageIndex : 1,
+      downloaded: resumeFrom ? { ...resumeFrom.downloaded } : {}
+    };
+
+    // ✅ Initialize all counters at function start to avoid scope issues
+    const progress = { totalDownloaded: Object.keys(checkpoint.downloaded).length };
+    // Manifest entries per district, written as manifest.csv/manifest.json into the ZIP
+    const districtEntries = districts.map(() => []);
+
+    try {
+      jobs.progress(jobId, "🔧 Setting up isolated download directory...", { totalDownloaded: progress.totalDownloaded });
+      const jobDownloadPath = ensureJobDownloadDir(jobId, { keepExisting: Boolean(resumeFrom) });
+
+      if (resumeFrom) {
+        // Finished districts and windows keep their manifests; the checkpoint page is scanned again
+        districts.slice(0, checkpoint.districtIndex + 1).forEach((district, idx) => {
+          const districtDir = path.join(jobDownloadPath, getDistrictFolderName(district));
+          if (!fs.existsSync(districtDir)) {
+            return;
+          }
+          districtEntries[idx] = readManifestEntries(districtDir).filter((entry) => {
+            if (idx < checkpoint.districtIndex) {
+              return true;
+            }
+            const windowIndex = windowIndexByLabel[entry.dateWindow] || 0;
+            return windowIndex < checkpoint.windowIndex ||
+              (windowIndex === checkpoint.windowIndex && entry.page < checkpoint.pageIndex);
+          });
+        });
+
+        // Anything not recorded in the checkpoint is a half-finished download
+        const keptFiles = new Set(Object.values(checkpoint.downloaded));
+        listRelativeFiles(jobDownloadPath)
+          .filter((name) => !keptFiles.has(name) && !/(^|\/)manifest\.(json|csv)$/.test(name))
+          .forEach((name) => {
+            fs.rmSync(path.join(jobDownloadPath, name), { force: true });
+            log.info(`🗑️ Removed incomplete download ${name}`);
+          });
+        log.info(`♻️ Resuming ${districts[checkpoint.districtIndex].name} (window ${checkpoint.windowIndex + 1}/${dateWindows.length}) from page ${checkpoint.pageIndex} with ${progress.totalDownloaded} files already downloaded`);
+      }
+
+      jobs.progress(jobId, "🌐 Getting a browser (this may take a moment)...", { totalDownloaded: progress.totalDownloaded });
+      log.debug("🌐 Acquiring pooled browser...");
+      const browser = await browserPool.acquire();
+      let page = null;
+
+      try {
+        jobs.progress(jobId, "📖 Opening new browser tab...", { totalDownloaded: progress.totalDownloaded });
+        log.debug("📖 Creating new page...");
+        page = await browser.newPage();
+
+        jobs.progress(jobId, "⚙️ Configuring download settings...", { totalDownloaded: progress.totalDownloaded });
+        log.debug("⚙️ Configuring download behavior...");
+        const client = await page.target().createCDPSession();
+
+        for (let districtIndex = checkpoint.districtIndex; districtIndex < districts.length; districtIndex++) {
+          const district = districts[districtIndex];
+          const folderName = getDistrictFolderName(district);
+          const districtDir = path.join(jobDownloadPath, folderName);
+          fs.mkdirSync(districtDir, { recursive: true });
+
+          log.info(`🏛️ District ${districtIndex + 1}/${districts.length}: ${district.name}`);
+          jobs.update(jobId, { currentDistrict: district.name, currentDistrictIndex: districtIndex });
+          jobs.updateDistrict(jobId, districtIndex, { status: 'running', startedAt: new Date() });
+          await setDownloadDirectory(client, districtDir, log);
+
+          const entries = districtEntries[districtIndex];
+          const seenKeys = new Set(entries.map(manifestEntryKey));
+          const firstWindow = districtIndex === checkpoint.districtIndex ? checkpoint.windowIndex : 0;
+
+          for (let windowIndex = firstWindow; windowIndex < dateWindows.length; windowIndex++) {
+            const dateWindow = dateWindows[windowIndex];
+            if (districtIndex !== checkpoint.districtIndex || windowIndex !== checkpoint.windowIndex) {
+              checkpoint.districtIndex = districtIndex;
+              checkpoint.windowIndex = windowIndex;
+              checkpoint.pageIndex = 1;
+            }
+            jobs.saveCheckpoint(jobId, checkpoint);
+            throwIfJobStopped(jobId);
+
+            // The route validated the full range; make sure each window is one the portal accepts
+            const windowError = validateDateRange(dateWindow.fromDate, dateWindow.toDate, { maxDays: portal.maxRangeDays });
+            if (windowError) {
+              throw new Error(`Invalid date window ${formatDateWindow(dateWindow)}: ${windowError}`);
+            }
+
+            log.info(`📅 ${district.name} window ${windowIndex + 1}/${dateWindows.length}: ${dateWindow.fromDate} to ${dateWindow.toDate}`);
+            const currentWindow = { index: windowIndex + 1, total: dateWindows.length, ...dateWindow };
+            jobs.update(jobId, { currentWindow });
+            jobs.updateDistrict(jobId, districtIndex, { currentWindow });
+
+            await scrapeDistrict(page, jobId, {
+              fromDate: dateWindow.fromDate,
+              toDate: dateWindow.toDate,
+              dateWindow,
+              currentWindow,
+              seenKeys,
+              district,
+              districtIndex,
+              districtDir,
+              folderName,
+              portal,
+              sectionFilter,
+              newOnly,
+              scanOnly: mode === 'scan',
+              selectedKeys,
+              checkpoint,
+              progress,
+              startTime,
+              manifestEntries: entries
+            });
+          }
+
+          writeManifest(districtDir, entries, {
+            jobId,
+            fromDate,
+            toDate,
+            district: district.name,
+            districtCode: district.code,
+            sectionFilter: sectionFilter.label
+          });
+          jobs.updateDistrict(jobId, districtIndex, {
+            status: 'completed',
+            completedAt: new Date(),
+            ...summarizeEntries(entries)
+          });
+        }
+
+        log.info(`🎉 Scraping completed! Total downloads: ${progress.totalDownloaded}`);
+        await browserPool.release(browser);
+        log.debug(`🌐 Browser returned to the pool`);
+
+      } catch (err) {
+        if (err.jobStop) {
+          log.info(`⏹️ ${err.message} on page ${checkpoint.pageIndex}`);
+          // Keep the rows scanned so far in the district manifest for resuming or a partial ZIP
+          const district = districts[checkpoint.districtIndex];
+          const entries = districtEntries[checkpoint.districtIndex];
+          writeManifest(path.join(jobDownloadPath, getDistrictFolderName(district)), entries, {
+            jobId,
+            fromDate,
+            toDate,
+            district: district.name,
+            districtCode: district.code,
+            sectionFilter: sectionFilter.label,
+            partial: true
+          });
+          jobs.updateDistrict(jobId, checkpoint.districtIndex, {
+            status: err.jobStop === 'cancel' ? 'cancelled' : 'paused',
+            ...summarizeEntries(entries)
+          });
+        } else {
+          log.error(`❌ Error during extraction: ${err.message}`, { page: checkpoint.pageIndex });
+          jobs.updateDistrict(jobId, checkpoint.districtIndex, { status: 'failed', error: err.message });
+          if (page) {
+            await captureFailureSnapshot(page, jobId, log, 'job-failed');
+          }
+        }
+        // release() drops browsers that crashed or disconnected
+        await browserPool.release(browser);
+        log.debug(`🌐 Browser returned to the pool after ${err.jobStop ? err.jobStop : 'error'}`);
+        if (!(err.jobStop === 'cancel' && wantsPartialZip(jobId))) {
+          throw err;
+        }
+        jobs.progress(jobId, `📦 Cancelled, packaging the ${progress.totalDownloaded} files downloaded so far...`, { totalDownloaded: progress.totalDownloaded });
+      }
+
+      // Scan jobs keep their matches on the job instead of producing a ZIP
+      if (mode === 'scan') {
+        const scanResults = [];
+        districts.forEach((district, idx) => {
+          districtEntries[idx]
+            .filter((entry) => entry.matched)
+            .forEach((entry) => scanResults.push({ ...buildScanResult(entry), scanDistrict: district.name }));
+        });
+        jobs.update(jobId, { scanResults });
+        log.info(`🔎 Scan found ${scanResults.length} matching FIRs`);
+        return null;
+      }
+
+      return await packageJobFiles(jobId, {
+        fromDate,
+        toDate,
+        districts,
+        districtEntries,
+        sectionFilterLabel: sectionFilter.label,
+        partial: wasStopped(jobId),
+        zip
+      });
+
+    } catch (error) {
+      if (!error.jobStop) {
+        log.error(`❌ Failed: ${error.message}`, { stack: error.stack });
+      }
+      throw error;
+    }
+  }
+
+  // Uses the portal's district, police station and FIR number filters to find
+  // one FIR. Returns { row } with the result row, or { reason } if it is not listed.
+  async function findTargetRow(page, log, target, portal) {
+    log.debug(`🔗 Opening ${portal.name} portal: ${portal.url}`);
+    await portal.open(page);
+
+    // Without a date range the portal searches all registration dates
+    await portal.setDateRange(page, target.fromDate, target.toDate);
+
+    log.debug(`🏛️ Setting district: ${target.district.code}`);
+    await portal.selectDistrict(page, target.district.code);
+
+    const station = await portal.selectPoliceStation(page, target.policeStation, normalizeText);
+    if (!station) {
+      return { reason: `Police station "${target.policeStation}" is not listed for ${target.district.name}` };
+    }
+    log.debug(`🚓 Police station selected: ${station}`);
+    await portal.setFirNumber(page, target.firNumber);
+
+    log.info(`🔍 Searching for FIR ${target.firNumber}/${target.year}...`);
+    if (!(await portal.submitSearch(page))) {
+      return { reason: "The portal returned no records" };
+    }
+
+    const rows = await portal.readRows(page);
+    const row = rows.find((candidate) => rowMatchesTarget(candidate.data, target));
+    return row ? { row } : { reason: `No row for FIR ${target.firNumber}/${target.year} among ${rows.length} results` };
+  }
+
+  // Looks up each requested FIR in turn and downloads the ones the portal
+  // lists. Every target ends up "found", "not-found" or "failed" in
+  // targets.csv/targets.json; a failed lookup does not stop the others.
+  async function downloadTargetedFIRs(jobId, targets, districts, options = {}) {
+    const { portal = getPortalAdapter(), resumeFrom = null } = options;
+    const job = jobs.get(jobId);
+    const log = jobLogs.forJob(jobId);
+    log.info(`🚀 Starting targeted FIR job: ${targets.length} FIRs in ${districts.map((d) => d.name).join(", ")}`);
+
+    const checkpoint = {
+      targetIndex: resumeFrom ? resumeFrom.targetIndex || 0 : 0,
+      downloaded: resumeFrom ? { ...resumeFrom.downloaded } : {}
+    };
+    const results = resumeFrom && job.targetResults
+      ? job.targetResults.map((result, idx) => (idx < checkpoint.targetIndex ? result : createTargetResult(targets[idx])))
+      : targets.map(createTargetResult);
+    const progress = { totalDownloaded: results.filter((result) => result.status === "found").length };
+    const jobDownloadPath = ensureJobDownloadDir(jobId, { keepExisting: Boolean(resumeFrom) });
+
+    const recordResult = (idx) => {
+      jobs.update(jobId, { targetResults: results });
+      const districtIndex = districts.findIndex((d) => d.name === targets[idx].district.name);
+      const ofDistrict = results.filter((result) => result.district === districts[districtIndex].name && result.status !== "pending");
+      jobs.updateDistrict(jobId, districtIndex, {
+        scanned: ofDistrict.length,
+        matched: ofDistrict.filter((result) => result.status === "found").length,
+        downloaded: ofDistrict.filter((result) => result.status === "found").length,
+        failed: ofDistrict.filter((result) => result.status === "failed").length
+      });
+    };
+
+    const packageResults = (partial) => {
+      writeTargetReport(jobDownloadPath, results, { jobId, partial });
+      writeFailedReport(jobDownloadPath, results.filter((result) => result.status === "failed"), { jobId, partial });
+      writeJobReport(jobDownloadPath, buildJobReport(targetReportEntries(results), reportMeta(jobs.get(jobId), partial)));
+      if (partial || results.some((result) => result.status === "failed")) {
+        copyJobLogs(jobId, jobDownloadPath);
+      }
+      jobs.progress(jobId, `🗜️ Creating ZIP file with ${progress.totalDownloaded} documents...`, { totalDownloaded: progress.totalDownloaded });
+      return zipJobDirectory(jobId);
+    };
+
+    jobs.progress(jobId, "🌐 Getting a browser (this may take a moment)...", { totalDownloaded: progress.totalDownloaded });
+    const browser = await browserPool.acquire();
+
+    try {
+      const page = await browser.newPage();
+      const client = await page.target().createCDPSession();
+
+      for (let idx = checkpoint.targetIndex; idx < targets.length; idx++) {
+        checkpoint.targetIndex = idx;
+        jobs.saveCheckpoint(jobId, checkpoint);
+        throwIfJobStopped(jobId);
+
+        const target = targets[idx];
+        const result = results[idx];
+        const targetLog = log.child({ district: target.district.name, target: idx + 1 });
+        const folderName = getDistrictFolderName(target.district);
+        const districtDir = path.join(jobDownloadPath, folderName);
+        fs.mkdirSync(districtDir, { recursive: true });
+        await setDownloadDirectory(client, districtDir, targetLog);
+        jobs.update(jobId, { currentDistrict: target.district.name });
+        jobs.progress(jobId, `🎯 Looking up FIR ${target.firNumber}/${target.year} at ${target.policeStation} (${idx + 1}/${targets.length})...`, { totalDownloaded: progress.totalDownloaded });
+
+        try {
+          const { row, reason } = await retryPortalStep(
+            targetLog,
+            `Lookup of FIR ${target.firNumber}/${target.year}`,
+            navigationMaxAttempts,
+            timeNavigation(portal, "lookup", () => findTargetRow(page, targetLog, target, portal))
+          );
+          if (!row) {
+            targetLog.info(`🔎 FIR ${target.firNumber}/${target.year} not found: ${reason}`);
+            result.status = "not-found";
+            result.failureReason = reason;
+            recordResult(idx);
+            continue;
+          }
+
+          const entry = createManifestEntry(row.data, null, null);
+          Object.assign(result, {
+            portalPoliceStation: entry.policeStation,
+            portalFirNumber: entry.firNumber,
+            registrationDate: entry.registrationDate,
+            acts: entry.acts,
+            sections: entry.sections
+          });
+
+          const key = firKey(row.data);
+          let finalPath = null;
+          if (checkpoint.downloaded[key]) {
+            result.fileName = checkpoint.downloaded[key];
+            result.source = "portal";
+          } else if (firLibrary.get(key)) {
+            finalPath = getFirFilePath(districtDir, row.data);
+            firLibrary.copyTo(key, finalPath, { ownerId: job.ownerId || null });
+            result.source = "library";
+            targetLog.info(`📚 Copied from FIR library: ${firLibrary.get(key).fileName}`);
+          } else if (!row.downloadSelector) {
+            result.status = "failed";
+            result.failureReason = "No download button in result row";
+          } else {
+            result.source = "portal";
+            try {
+              finalPath = await downloadWithRetries(page, jobId, {
+                fir: row,
+                key,
+                districtDir,
+                folderName,
+                log: targetLog,
+                // Looking the FIR up again also restores a lost session
+                findRow: async () => {
+                  const lookup = await findTargetRow(page, targetLog, target, portal);
+                  if (!lookup.row || !lookup.row.downloadSelector) {
+                    throw new Error(lookup.reason || "No download button in result row");
+                  }
+                  return lookup.row;
+                },
+                onAttempt: (attempt) => {
+                  result.attempts = attempt;
+                }
+              });
+            } catch (error) {
+              if (error.jobStop) {
+                throw error;
+              }
+              result.status = "failed";
+              result.failureReason = error.message;
+              await captureFailureSnapshot(page, jobId, targetLog, `fir-${target.firNumber}-${target.year}`);
+            }
+          }
+
+          if (result.status !== "failed") {
+            result.status = "found";
+            result.fileName = result.fileName || `${folderName}/${path.basename(finalPath)}`;
+            checkpoint.downloaded[key] = result.fileName;
+            progress.totalDownloaded++;
+            firsDownloadedTotal.inc({ district: target.district.name, source: result.source });
+            jobs.publish(jobId, "file", {
+              fileName: result.fileName,
+              district: target.district.name,
+              firNumber: result.portalFirNumber,
+              source: result.source,
+              totalDownloaded: progress.totalDownloaded
+            });
+            jobs.progress(jobId, `✅ Found ${progress.totalDownloaded} of ${targets.length} requested FIRs so far`, { totalDownloaded: progress.totalDownloaded });
+          }
+        } catch (err) {
+          if (err.jobStop) {
+            throw err;
+          }
+          targetLog.error(`❌ Lookup of FIR ${target.firNumber}/${target.year} failed: ${err.message}`);
+          result.status = "failed";
+          result.failureReason = err.message;
+          await captureFailureSnapshot(page, jobId, targetLog, `lookup-${target.firNumber}-${target.year}`);
+        }
+        recordResult(idx);
+      }
+
+      checkpoint.targetIndex = targets.length;
+      jobs.saveCheckpoint(jobId, checkpoint);
+      await browserPool.release(browser);
+    } catch (err) {
+      await browserPool.release(browser);
+      if (!(err.jobStop === 'cancel' && wantsPartialZip(jobId))) {
+        if (err.jobStop) {
+          log.info(`⏹️ ${err.message} at FIR ${checkpoint.targetIndex + 1}/${targets.length}`);
+        }
+        throw err;
+      }
+      jobs.progress(jobId, `📦 Cancelled, packaging the ${progress.totalDownloaded} FIRs found so far...`, { totalDownloaded: progress.totalDownloaded });
+    }
+
+    log.info(`🎉 Targeted lookup finished, ${progress.totalDownloaded}/${targets.length} FIRs found`);
+    return packageResults(wasStopped(jobId));
+  }
+  return {
+    extractAndDownloadFIRs,
+    downloadTargetedFIRs,
+    packageJobFiles,
+    zipJobDirectory
+  };
+}
+
+module.exports = {
+  createScraper,
+  launchBrowser,
+  buildScanResult,
+  createTargetResult,
+  getDistrictFolderName,
+  getJobDistrictNames,
+  planDateWindows,
+  reportMeta,
+  targetReportEntries
+};
@@ -0,0 +1,282 @@
+// lib/sectionFilters.js
+
+// Act/section filters decide which result rows get downloaded. A filter is
+// either a named preset or a custom rule set:
+//
+//   "animal-protection"
+//   ["wildlife", "environment"]                      (any preset may match)
+//   { name: "cruelty", any: [...], all: [...], none: [...], sections: ["IPC 429", "BNS 325"] }
+//
+// Rules inside any/all/none are keyword strings, { keyword }, { regex, flags }
+// or { section: "IPC 429" }. "any" is OR, "all" is AND, "none" is NOT.
+// A badly written regex can backtrack for a very long time on a single row,
+// so callers that take filters from untrusted users compile them with
+// allowRegex: false.
+
+const DEFAULT_PRESET = "animal-protection";
+
+const SECTION_PRESETS = {
+  "animal-protection": {
+    label: "Animal protection laws",
+    any: [
+      "प्राण्‍यांचा छळ प्रतिबंधक अधिनियम, १९६०",
+      "महाराष्‍ट्र प्राणी संरक्षण (सुधारणा)अधिनियम,१९९५",
+      "महाराष्ट्र पशु संरक्षण अधिनियम, १९७६",
+      "पशु संरक्षण अधिनियम, १९५१"
+    ]
+  },
+  wildlife: {
+    label: "Wildlife and forest laws",
+    any: [
+      "वन्यजीव (संरक्षण) अधिनियम",
+      "वन्य जीव (संरक्षण) अधिनियम",
+      "भारतीय वन अधिनियम",
+      "Wild Life (Protection) Act",
+      "Indian Forest Act"
+    ]
+  },
+  environment: {
+    label: "Environment protection laws",
+    any: [
+      "पर्यावरण (संरक्षण) अधिनियम",
+      "जल (प्रदूषण प्रतिबंध व नियंत्रण) अधिनियम",
+      "वायु (प्रदूषण प्रतिबंध व नियंत्रण) अधिनियम",
+      "Environment (Protection) Act",
+      "Water (Prevention and Control of Pollution) Act",
+      "Air (Prevention and Control of Pollution) Act"
+    ]
+  },
+  cruelty: {
+    label: "Cruelty to animals (IPC/BNS)",
+    any: [
+      { section: "IPC 428" },
+      { section: "IPC 429" },
+      { section: "BNS 325" }
+    ]
+  }
+};
+
+// Names the portal uses for the codes accepted in section rules like "IPC 429".
+const ACT_ALIASES = {
+  IPC: ["IPC", "भारतीय दंड संहिता", "भा.दं.वि", "भादंवि", "Indian Penal Code"],
+  BNS: ["BNS", "भारतीय न्याय संहिता", "बीएनएस", "Bharatiya Nyaya Sanhita"],
+  CRPC: ["CrPC", "फौजदारी प्रक्रिया संहिता", "Code of Criminal Procedure"],
+  BNSS: ["BNSS", "भारतीय नागरिक सुरक्षा संहिता", "Bharatiya Nagarik Suraksha Sanhita"]
+};
+
+const DEVANAGARI_DIGITS = "०१२३४५६७८९";
+
+// Portal text mixes zero-width joiners, Devanagari digits and irregular
+// spacing, so rules and row text are compared in this normalized form.
+function foldText(text) {
+  return String(text || "")
+    .normalize("NFC")
+    .replace(/[\u200B-\u200D\uFEFF]/g, "")
+    .replace(/[\u0966-\u096F]/g, (d) => String(DEVANAGARI_DIGITS.indexOf(d)))
+    .replace(/\s+/g, " ");
+}
+
+function normalizeText(text) {
+  return foldText(text).toLowerCase();
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function parseSectionSpec(spec) {
+  const match = /^\s*([A-Za-z]+)\s*(?:section|sec\.?|s\.)?\s*(\d+[A-Za-z]?)\s*$/i.exec(String(spec));
+  if (!match) {
+    throw new Error(`Invalid section "${spec}". Use the form "IPC 429" or "BNS 325".`);
+  }
+  const act = match[1].toUpperCase();
+  if (!ACT_ALIASES[act]) {
+    throw new Error(`Unknown act "${match[1]}" in section "${spec}". Supported: ${Object.keys(ACT_ALIASES).join(", ")}.`);
+  }
+  return { act, number: match[2].toLowerCase() };
+}
+
+// Turns one rule into { description, test(row) }, row being what rowText()
+// makes of a result row.
+function compileRule(rule, { allowRegex }) {
+  if (typeof rule === "string") {
+    rule = { keyword: rule };
+  }
+  if (!rule || typeof rule !== "object") {
+    throw new Error("Filter rules must be strings or objects.");
+  }
+
+  if (rule.keyword !== undefined) {
+    const keyword = normalizeText(rule.keyword);
+    if (!keyword.trim()) {
+      throw new Error("Keyword rules must not be empty.");
+    }
+    return {
+      description: `keyword: ${rule.keyword}`,
+      test: ({ text }) => text.includes(keyword)
+    };
+  }
+
+  if (rule.regex !== undefined) {
+    if (!allowRegex) {
+      throw new Error("Regex rules are only available to admins; use keyword or section rules.");
+    }
+    const source = String(rule.regex);
+    if (!source || source.length > 200) {
+      throw new Error("Regex rules must be between 1 and 200 characters.");
+    }
+    let regex;
+    try {
+      // Row text is lowercased, so regex rules always match case-insensitively.
+      const flags = String(rule.flags || "").replace(/[giuy]/g, "");
+      regex = new RegExp(foldText(source), `${flags}iu`);
+    } catch (error) {
+      throw new Error(`Invalid regex "${source}": ${error.message}`);
+    }
+    return {
+      description: `regex: /${source}/${rule.flags || ""}`,
+      test: ({ text }) => regex.test(text)
+    };
+  }
+
+  if (rule.section !== undefined) {
+    const { act, number } = parseSectionSpec(rule.section);
+    const aliases = ACT_ALIASES[act].map(normalizeText);
+    const numberRegex = new RegExp(`(^|[^0-9])${escapeRegExp(number)}(?![0-9])`);
+    return {
+      description: `section: ${act} ${number.toUpperCase()}`,
+      // The section number has to follow one of the act's names in the
+      // sections of that act.
+      test: ({ pairs }) => pairs.some((pair) => aliases.some((alias) => {
+        const at = pair.indexOf(alias);
+        return at !== -1 && numberRegex.test(pair.slice(at + alias.length));
+      }))
+    };
+  }
+
+  throw new Error("Filter rules need a keyword, regex or section.");
+}
+
+function compileRules(rules, field, options) {
+  if (rules === undefined) {
+    return [];
+  }
+  if (!Array.isArray(rules)) {
+    throw new Error(`"${field}" must be an array of rules.`);
+  }
+  return rules.map((rule) => compileRule(rule, options));
+}
+
+function compileRuleSet(name, label, spec, options) {
+  const any = compileRules(spec.any, "any", options).concat(
+    compileRules(spec.sections === undefined ? undefined : [].concat(spec.sections).map((section) => ({ section })), "sections", options)
+  );
+  const all = compileRules(spec.all, "all", options);
+  const none = compileRules(spec.none, "none", options);
+
+  if (any.length === 0 && all.length === 0) {
+    throw new Error(`Filter "${name}" needs at least one "any", "all" or "sections" rule.`);
+  }
+
+  return {
+    name,
+    label,
+    match(row) {
+      if (none.some((rule) => rule.test(row))) {
+        return null;
+      }
+      if (!all.every((rule) => rule.test(row))) {
+        return null;
+      }
+      if (any.length === 0) {
+        return all.map((rule) => rule.description).join(" AND ");
+      }
+      const hit = any.find((rule) => rule.test(row));
+      return hit ? hit.description : null;
+    }
+  };
+}
+
+function compileSingle(spec, options) {
+  if (typeof spec === "string") {
+    const preset = SECTION_PRESETS[spec];
+    if (!preset) {
+      throw new Error(`Unknown section preset "${spec}". Available: ${Object.keys(SECTION_PRESETS).join(", ")}.`);
+    }
+    return compileRuleSet(spec, preset.label, preset, options);
+  }
+  if (!spec || typeof spec !== "object" || Array.isArray(spec)) {
+    throw new Error("Section filter must be a preset name, a list of filters or a rule object.");
+  }
+  if (spec.preset !== undefined) {
+    return compileSingle(String(spec.preset), options);
+  }
+  const name = safeFilterName(spec.name || "custom");
+  return compileRuleSet(name, spec.label ? String(spec.label) : `Custom filter (${name})`, spec, options);
+}
+
+function safeFilterName(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9-]+/g, "-").replace(/^-+|-+$/g, "") || "custom";
+}
+
+// The acts and sections cells of a row. The portal puts one act per line and
+// that act's sections on the same line of the sections cell, so section rules
+// look at "act sections" pairs; with a different number of lines they get the
+// acts followed by all sections.
+function rowText(acts, sections) {
+  const actLines = String(acts || "").split("\n").map(normalizeText).filter((line) => line.trim());
+  const sectionLines = String(sections || "").split("\n").map(normalizeText).filter((line) => line.trim());
+  const text = normalizeText(`${acts || ""} ${sections || ""}`);
+  const pairs = actLines.length > 1 && actLines.length === sectionLines.length
+    ? actLines.map((line, index) => `${line} ${sectionLines[index]}`)
+    : [text];
+  return { text, pairs };
+}
+
+// Compiles a filter spec into { name, label, spec, match(acts, sections) }.
+// match() returns the description of the rule that matched, or null. Regex
+// rules are refused with allowRegex: false.
+function compileSectionFilter(spec, { allowRegex = true } = {}) {
+  if (spec === undefined || spec === null || spec === "") {
+    spec = DEFAULT_PRESET;
+  }
+
+  const parts = (Array.isArray(spec) ? spec : [spec]).map((part) => compileSingle(part, { allowRegex }));
+  if (parts.length === 0) {
+    throw new Error("Section filter list must not be empty.");
+  }
+
+  return {
+    name: parts.map((part) => part.name).join("+"),
+    label: parts.map((part) => part.label).join(" + "),
+    spec,
+    match(acts, sections = "") {
+      const row = rowText(acts, sections);
+      for (const part of parts) {
+        const rule = part.match(row);
+        if (rule) {
+          return parts.length > 1 ? `${part.name} / ${rule}` : rule;
+        }
+      }
+      return null;
+    }
+  };
+}
+
+function listSectionPresets() {
+  return Object.entries(SECTION_PRESETS).map(([name, preset]) => ({
+    name,
+    label: preset.label,
+    default: name === DEFAULT_PRESET,
+    rules: (preset.any || []).map((rule) => (typeof rule === "string" ? rule : rule.section || rule.keyword || rule.regex))
+  }));
+}
+
+module.exports = {
+  DEFAULT_PRESET,
+  SECTION_PRESETS,
+  compileSectionFilter,
+  listSectionPresets,
+  foldText,
+  normalizeText
+};
@@ -0,0 +1,45 @@
+// test/auth.test.js
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createAuth } = require("../lib/auth");
+const { createMemoryJobStore } = require("../lib/jobStore");
+
+// A memory store that counts its writes
+function createCountingStore() {
+  const store = createMemoryJobStore();
+  const counting = { ...store, updates: 0 };
+  counting.update = (id, patch) => {
+    counting.updates++;
+    return store.update(id, patch);
+  };
+  return counting;
+}
+
+describe("createAuth", () => {
+  test("records API key use at most once a minute", () => {
+    const userStore = createCountingStore();
+    const auth = createAuth({ userStore, sessionStore: createMemoryJobStore() });
+    const user = auth.createUser({ username: "poller", password: "poller-password" });
+    const { key } = auth.createApiKey(user.id, "status script");
+    const start = new Date("2025-01-10T10:00:00Z");
+    const at = (seconds) => new Date(start.getTime() + seconds * 1000);
+    const lastUsedAt = () => userStore.get(user.id).apiKeys[0].lastUsedAt;
+
+    userStore.updates = 0;
+    assert.equal(auth.authenticate({ apiKey: key }, start).id, user.id);
+    assert.equal(userStore.updates, 1);
+    for (let seconds = 5; seconds < 60; seconds += 5) {
+      assert.equal(auth.authenticate({ apiKey: key }, at(seconds)).id, user.id);
+    }
+    assert.equal(userStore.updates, 1);
+    assert.equal(new Date(lastUsedAt()).getTime(), start.getTime());
+
+    auth.authenticate({ apiKey: key }, at(60));
+    assert.equal(userStore.updates, 2);
+    assert.equal(new Date(lastUsedAt()).getTime(), at(60).getTime());
+
+    assert.equal(auth.authenticate({ apiKey: `${key}x` }, at(61)), null);
+    assert.equal(userStore.updates, 2);
+  });
+});
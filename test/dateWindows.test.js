@@ -0,0 +1,38 @@
+// test/dateWindows.test.js
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { validateDateRange, splitDateRange, formatDateWindow } = require("../lib/dateWindows");
+
+describe("dateWindows", () => {
+  test("validates date ranges", () => {
+    assert.equal(validateDateRange("01/01/2025", "31/01/2025"), null);
+    assert.equal(validateDateRange("01/01/2025", "01/01/2025"), null);
+    assert.match(validateDateRange("2025-01-01", "31/01/2025"), /Invalid date format/);
+    assert.match(validateDateRange("31/02/2025", "31/03/2025"), /Invalid date format/);
+    assert.match(validateDateRange("01/02/2025", "31/01/2025"), /should be before/);
+    assert.equal(validateDateRange("01/01/2025", "01/04/2025", { maxDays: 90 }), null);
+    assert.match(validateDateRange("01/01/2025", "02/04/2025", { maxDays: 90 }), /should not exceed 90 days/);
+  });
+
+  test("splits ranges into consecutive windows the portal accepts", () => {
+    const windows = splitDateRange("01/01/2024", "31/12/2024");
+    assert.deepEqual(windows.map(formatDateWindow), [
+      "01/01/2024-31/03/2024",
+      "01/04/2024-30/06/2024",
+      "01/07/2024-29/09/2024",
+      "30/09/2024-29/12/2024",
+      "30/12/2024-31/12/2024"
+    ]);
+    windows.forEach((window) => assert.equal(validateDateRange(window.fromDate, window.toDate, { maxDays: 90 }), null));
+  });
+
+  test("keeps short ranges in one window", () => {
+    assert.deepEqual(splitDateRange("10/01/2025", "10/01/2025"), [{ fromDate: "10/01/2025", toDate: "10/01/2025" }]);
+    assert.deepEqual(splitDateRange("01/01/2025", "20/01/2025", 7).map(formatDateWindow), [
+      "01/01/2025-08/01/2025",
+      "09/01/2025-16/01/2025",
+      "17/01/2025-20/01/2025"
+    ]);
+  });
+});
@@ -0,0 +1,72 @@
+// test/firSearch.test.js
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFirSearch } = require("../lib/firSearch");
+
+const IPC = "भारतीय दंड संहिता, १८६०";
+const ANIMAL_ACT = "प्राण्यांचा छळ प्रतिबंधक अधिनियम, १९६०";
+
+// The parts of lib/firLibrary.js that search uses, with the text already extracted
+function createLibrary(records) {
+  const byId = new Map(records.map((record) => [record.id, record]));
+  return {
+    list: () => [...byId.values()],
+    get: (id) => byId.get(id),
+    getText: (id) => (byId.has(id) ? byId.get(id).text : null),
+    setText: (id, text) => {
+      byId.get(id).text = text;
+    },
+    filePath: (record) => record.fileName
+  };
+}
+
+function createRecord(id, overrides = {}) {
+  return {
+    id,
+    district: "PUNE CITY",
+    policeStation: "Hadapsar",
+    firNumber: `12345${id}`,
+    year: "2025",
+    registrationDate: "10/01/2025",
+    acts: IPC,
+    sections: "379",
+    fileName: `${id}.pdf`,
+    text: "The complainant found the dog injured near the market.",
+    ...overrides
+  };
+}
+
+describe("createFirSearch", () => {
+  const firSearch = createFirSearch(createLibrary([
+    createRecord("0001", { sections: "429, 34" }),
+    createRecord("0002"),
+    createRecord("0003", { acts: `${ANIMAL_ACT}\n${IPC}`, sections: "11(1)\n429", district: "NAGPUR CITY", registrationDate: "20/02/2025" }),
+    createRecord("0004", { text: "A theft of a bicycle near the market." })
+  ]));
+
+  test("finds PDFs containing every term, best matches first", () => {
+    const { total, results } = firSearch.search({ q: "dog market" });
+    assert.equal(total, 3);
+    assert.ok(results.every((result) => result.snippets.length > 0));
+    assert.deepEqual(firSearch.search({ q: "bicycle" }).results.map((result) => result.key), ["0004"]);
+  });
+
+  test("narrows results by act and section", () => {
+    const keys = (act) => firSearch.search({ q: "dog", act }).results.map((result) => result.key).sort();
+    assert.deepEqual(keys("IPC 429"), ["0001", "0003"]);
+    assert.deepEqual(keys("cruelty"), ["0001", "0003"]);
+    assert.deepEqual(keys("IPC 379"), ["0002"]);
+    assert.deepEqual(keys("animal-protection"), ["0003"]);
+  });
+
+  test("leaves out records the caller may not see", () => {
+    const visible = (record) => record.id !== "0001";
+    assert.deepEqual(firSearch.search({ q: "dog", visible }).results.map((result) => result.key).sort(), ["0002", "0003"]);
+  });
+
+  test("narrows results by district and registration date", () => {
+    assert.deepEqual(firSearch.search({ q: "dog", district: "nagpur city" }).results.map((result) => result.key), ["0003"]);
+    assert.deepEqual(firSearch.search({ q: "dog", fromDate: "01/02/2025", toDate: "28/02/2025" }).results.map((result) => result.key), ["0003"]);
+  });
+});
@@ -0,0 +1,60 @@
+// test/jobLog.test.js
+
+const { describe, test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createJobLogs, formatLogLine } = require("../lib/jobLog");
+
+// Collects what a job log prints
+function createStream() {
+  const lines = [];
+  return { lines, write: (text) => lines.push(text) };
+}
+
+describe("createJobLogs", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "fir-job-log-"));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test("prints entries at consoleLevel and above to its stream and keeps all in job.log", () => {
+    const stream = createStream();
+    const jobLogs = createJobLogs({ dir, consoleLevel: "warn", stream });
+    const log = jobLogs.forJob("job_1", { district: "PUNE CITY" }).child({ page: 2 });
+
+    log.info("Checking FIR", { fir: 3 });
+    log.warn("Download slow", { fir: 3 });
+    jobLogs.server.info("🌐 Launched pooled browser");
+    jobLogs.server.error("❌ Could not reach the portal");
+
+    assert.deepEqual(stream.lines, [
+      "WARN  [job_1 district=PUNE CITY page=2 fir=3] Download slow\n",
+      "❌ Could not reach the portal\n"
+    ]);
+    assert.deepEqual(jobLogs.read("job_1").map((entry) => [entry.level, entry.msg, entry.page]), [
+      ["info", "Checking FIR", 2],
+      ["warn", "Download slow", 2]
+    ]);
+    assert.deepEqual(jobLogs.read("job_1", { level: "warn", limit: 5 }).map((entry) => entry.msg), ["Download slow"]);
+    assert.deepEqual(jobLogs.listFiles("job_1"), ["job.log"]);
+  });
+
+  test("prints JSON lines with format json", () => {
+    const stream = createStream();
+    const jobLogs = createJobLogs({ dir, format: "json", stream });
+    jobLogs.forJob("job_2").info("Started", { window: "01/01/2025-31/01/2025" });
+    jobLogs.server.debug("Not printed");
+
+    assert.equal(stream.lines.length, 1);
+    const entry = JSON.parse(stream.lines[0]);
+    assert.deepEqual([entry.level, entry.jobId, entry.msg, entry.window], ["info", "job_2", "Started", "01/01/2025-31/01/2025"]);
+    assert.equal(formatLogLine(entry), "INFO  [job_2 window=01/01/2025-31/01/2025] Started");
+
+    jobLogs.remove("job_2");
+    assert.deepEqual(jobLogs.read("job_2"), []);
+  });
+
+  test("rejects unknown levels", () => {
+    assert.throws(() => createJobLogs({ dir, consoleLevel: "verbose" }), /Unknown log level "verbose"/);
+  });
+});
@@ -0,0 +1,293 @@
+// test/mockPortal.js
+
+const fs = require("fs");
+const path = require("path");
+const express = require("express");
+
+// A local stand-in for the Maharashtra Police PublishedFIRs.aspx page, close
+// enough for the scraper and the Maharashtra portal config: the date and
+// district search form, the 10-column result grid, a numbered pager that
+// hides further pages behind "..." and a download button per row that
+// answers with a PDF attachment.
+//
+// What it serves is set with setData():
+//
+//   firs              rows the portal knows about (see createFir)
+//   pageButtonCount   page links shown before "..." (10 on the live portal)
+//   repeatLastPage    shows a link past the last page that renders the last
+//                     page again, which the scraper has to notice
+//   stalledDownloads  FIR numbers whose download button never sends a file
+//   flakyDownloads    FIR numbers whose first download attempt sends nothing
+//
+// Paging re-renders the grid in the page, like the portal's partial postbacks.
+
+const PAGE_PATH = "/Citizen/MH/PublishedFIRs.aspx";
+const PAGE_SIZES = ["10", "20", "50"];
+
+const ANIMAL_ACT = "प्राण्यांचा छळ प्रतिबंधक अधिनियम, १९६०";
+const OTHER_ACT = "भारतीय न्याय संहिता (बीएनएस), २०२३";
+
+let firSequence = 0;
+
+function createFir(overrides = {}) {
+  firSequence++;
+  const firNo = String(firSequence).padStart(4, "0");
+  return {
+    acts: OTHER_ACT,
+    district: "PUNE CITY",
+    policeStation: "Hadapsar",
+    year: "2025",
+    firNo,
+    registrationDate: "10/01/2025",
+    firNumber: `1234500${firNo}`,
+    sections: "303(2)",
+    ...overrides
+  };
+}
+
+function readMaharashtraConfig() {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, "..", "portals", "maharashtra.json"), "utf8"));
+}
+
+// The Maharashtra config pointed at the mock portal
+function mockPortalConfig(baseUrl, overrides = {}) {
+  return {
+    ...readMaharashtraConfig(),
+    name: "mock",
+    label: "Mock PublishedFIRs portal",
+    url: `${baseUrl}${PAGE_PATH}`,
+    reloadAfterLoad: false,
+    ...overrides
+  };
+}
+
+// A PDF with one line of text that pdf-parse can read back
+function buildPdf(text) {
+  const stream = `BT /F1 12 Tf 72 720 Td (${text.replace(/[()\\]/g, "\\$&")}) Tj ET`;
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>",
+    `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>"
+  ];
+  let pdf = "%PDF-1.4\n";
+  const offsets = objects.map((body, idx) => {
+    const offset = pdf.length;
+    pdf += `${idx + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`).join("");
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  return Buffer.from(pdf, "latin1");
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function parseDate(value) {
+  const [day, month, year] = String(value || "").split("/").map(Number);
+  return day && month && year ? Date.UTC(year, month - 1, day) : null;
+}
+
+function createMockPortal() {
+  // District dropdown values as on the live portal
+  const codes = readMaharashtraConfig().districts;
+  const state = { firs: [], pageButtonCount: 10, repeatLastPage: false, stalledDownloads: new Set(), flakyDownloads: new Set() };
+  // Every search and download the portal answered, for assertions
+  const requests = [];
+
+  function search(form) {
+    const from = parseDate(form.fromDate);
+    const to = parseDate(form.toDate);
+    return state.firs.filter((fir) => {
+      const registered = parseDate(fir.registrationDate);
+      return codes[fir.district] === form.district &&
+        (from === null || registered >= from) &&
+        (to === null || registered <= to) &&
+        (!form.policeStation || fir.policeStation === form.policeStation) &&
+        (!form.firNo || Number(fir.firNo) === Number(form.firNo));
+    });
+  }
+
+  function renderPage(form, results) {
+    const stations = {};
+    state.firs.forEach((fir) => {
+      const code = codes[fir.district];
+      stations[code] = [...new Set([...(stations[code] || []), fir.policeStation])];
+    });
+    const pageSize = PAGE_SIZES.includes(form.pageSize) ? form.pageSize : "10";
+    const rows = (results || []).map((fir) => [
+      fir.acts, fir.district, fir.policeStation, fir.year, fir.firNo, fir.registrationDate, fir.firNumber, fir.sections
+    ]);
+    // Keeps "</script>" in FIR text from ending the script block
+    const json = (value) => JSON.stringify(value).replace(/</g, "\\u003c");
+
+    return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>Published FIRs</title></head>
+<body>
+  <form method="post" action="${PAGE_PATH}" id="form1">
+    <input type="hidden" id="downloadKey" name="downloadKey" value="">
+    <select id="ContentPlaceHolder1_ucRecordView_ddlPageSize" name="pageSize">
+      ${PAGE_SIZES.map((size) => `<option value="${size}"${size === pageSize ? " selected" : ""}>${size}</option>`).join("")}
+    </select>
+    <input type="text" id="ContentPlaceHolder1_txtDateOfRegistrationFrom" name="fromDate" value="${escapeHtml(form.fromDate || "")}">
+    <input type="text" id="ContentPlaceHolder1_txtDateOfRegistrationTo" name="toDate" value="${escapeHtml(form.toDate || "")}">
+    <select id="ContentPlaceHolder1_ddlDistrict" name="district">
+      <option value="">Select</option>
+      ${Object.entries(codes).map(([name, code]) => `<option value="${code}"${code === form.district ? " selected" : ""}>${escapeHtml(name)}</option>`).join("")}
+    </select>
+    <select id="ContentPlaceHolder1_ddlPoliceStation" name="policeStation">
+      <option value="">Select</option>
+    </select>
+    <input type="text" id="ContentPlaceHolder1_txtFirno" name="firNo" value="${escapeHtml(form.firNo || "")}">
+    <input type="submit" id="ContentPlaceHolder1_btnSearch" name="search" value="Search">
+    <div id="results">${results && results.length === 0 ? "<span>No Records Found</span>" : ""}</div>
+  </form>
+  <script>
+    const STATIONS = ${json(stations)};
+    const ROWS = ${json(rows)};
+    const PAGE_SIZE = ${Number(pageSize)};
+    const PAGE_BUTTON_COUNT = ${state.pageButtonCount};
+    const REPEAT_LAST_PAGE = ${state.repeatLastPage};
+
+    // The district dropdown fills the police stations, as the portal's postback does
+    const districtSelect = document.getElementById("ContentPlaceHolder1_ddlDistrict");
+    function fillStations() {
+      const stationSelect = document.getElementById("ContentPlaceHolder1_ddlPoliceStation");
+      stationSelect.length = 1;
+      (STATIONS[districtSelect.value] || []).forEach((name) => stationSelect.add(new Option(name, name)));
+    }
+    districtSelect.addEventListener("change", fillStations);
+    fillStations();
+
+    function text(value) {
+      const span = document.createElement("span");
+      span.textContent = value;
+      return span.innerHTML;
+    }
+
+    function pagerLink(label, pageNumber) {
+      return '<a href="#" onclick="__doPostBack(\\'ctl00$ContentPlaceHolder1$gdvDeadBody\\', \\'Page$' + pageNumber + '\\'); return false;">' + label + '</a>';
+    }
+
+    function renderGrid(pageNumber) {
+      const pageCount = Math.ceil(ROWS.length / PAGE_SIZE);
+      const current = Math.min(pageNumber, pageCount);
+      const start = (current - 1) * PAGE_SIZE;
+      const body = ROWS.slice(start, start + PAGE_SIZE).map((cells, idx) =>
+        "<tr><td>" + (start + idx + 1) + "</td>" +
+        cells.map((cell) => "<td>" + text(cell) + "</td>").join("") +
+        '<td><input type="submit" name="download" value="Download" id="ContentPlaceHolder1_gdvDeadBody_btnDownload_' + idx + '"' +
+        ' onclick="document.getElementById(\\'downloadKey\\').value = \\'' + cells[6] + '\\'"></td></tr>'
+      ).join("");
+
+      const blockStart = Math.floor((current - 1) / PAGE_BUTTON_COUNT) * PAGE_BUTTON_COUNT + 1;
+      const blockEnd = Math.min(blockStart + PAGE_BUTTON_COUNT - 1, pageCount);
+      const items = [];
+      if (blockStart > 1) {
+        items.push(pagerLink("...", blockStart - 1));
+      }
+      for (let n = blockStart; n <= blockEnd; n++) {
+        items.push(n === current ? "<span>" + n + "</span>" : pagerLink(n, n));
+      }
+      if (blockEnd < pageCount) {
+        items.push(pagerLink("...", blockEnd + 1));
+      } else if (REPEAT_LAST_PAGE && current === pageCount) {
+        items.push(pagerLink(pageCount + 1, pageCount + 1));
+      }
+
+      document.getElementById("results").innerHTML =
+        '<table id="ContentPlaceHolder1_gdvDeadBody"><tr><th>Sr.No.</th><th>Act</th><th>District</th><th>Police Station</th>' +
+        "<th>Year</th><th>FIR No.</th><th>Registration Date</th><th>FIR Number</th><th>Sections</th><th>Download</th></tr>" +
+        body + "</table>" +
+        (pageCount > 1 ? '<div class="gridPager">' + items.join(" ") + "</div>" : "");
+    }
+
+    function __doPostBack(target, argument) {
+      renderGrid(parseInt(argument.replace("Page$", ""), 10));
+    }
+
+    if (ROWS.length > 0) {
+      renderGrid(1);
+    }
+  </script>
+</body>
+</html>`;
+  }
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get(PAGE_PATH, (req, res) => {
+    res.send(renderPage({}, null));
+  });
+
+  app.post(PAGE_PATH, (req, res) => {
+    const form = req.body || {};
+    if (form.download) {
+      const fir = state.firs.find((candidate) => candidate.firNumber === form.downloadKey);
+      const attempt = requests.filter((request) => request.type === "download" && request.firNumber === form.downloadKey).length + 1;
+      requests.push({ type: "download", firNumber: form.downloadKey });
+      if (!fir || state.stalledDownloads.has(fir.firNumber) || (attempt === 1 && state.flakyDownloads.has(fir.firNumber))) {
+        // No content: the page stays and no file ever arrives
+        return res.status(204).end();
+      }
+      res.set("Content-Type", "application/pdf");
+      res.set("Content-Disposition", `attachment; filename="FIR_${fir.firNumber}.pdf"`);
+      return res.send(buildPdf(`FIR ${fir.firNumber} ${fir.policeStation} ${fir.year}`));
+    }
+
+    const results = search(form);
+    requests.push({ type: "search", district: form.district, fromDate: form.fromDate, toDate: form.toDate, results: results.length });
+    res.send(renderPage(form, results));
+  });
+
+  return {
+    app,
+    requests,
+
+    setData({ firs = [], pageButtonCount = 10, repeatLastPage = false, stalledDownloads = [], flakyDownloads = [] } = {}) {
+      Object.assign(state, {
+        firs,
+        pageButtonCount,
+        repeatLastPage,
+        stalledDownloads: new Set(stalledDownloads),
+        flakyDownloads: new Set(flakyDownloads)
+      });
+      requests.length = 0;
+    },
+
+    // Resolves with the base URL once listening on a free port
+    listen() {
+      return new Promise((resolve) => {
+        const server = app.listen(0, "127.0.0.1", () => {
+          this.server = server;
+          resolve(`http://127.0.0.1:${server.address().port}`);
+        });
+      });
+    },
+
+    close() {
+      return new Promise((resolve) => (this.server ? this.server.close(resolve) : resolve()));
+    }
+  };
+}
+
+module.exports = {
+  ANIMAL_ACT,
+  OTHER_ACT,
+  PAGE_PATH,
+  buildPdf,
+  createFir,
+  createMockPortal,
+  mockPortalConfig
+};
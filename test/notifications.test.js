@@ -0,0 +1,109 @@
+// test/notifications.test.js
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { normalizeNotifyTargets, signPayload, isPublicAddress, createNotifier } = require("../lib/notifications");
+
+describe("normalizeNotifyTargets", () => {
+  test("accepts webhooks with a secret and emails with SMTP", () => {
+    assert.equal(normalizeNotifyTargets(undefined), null);
+    assert.deepEqual(normalizeNotifyTargets({ webhookUrl: "https://example.org/hook" }, { defaultSecret: "server" }), {
+      webhook: { url: "https://example.org/hook", secret: "server" },
+      email: null
+    });
+    assert.deepEqual(normalizeNotifyTargets({ email: [" a@example.org", "b@example.org"] }, { smtpConfigured: true }).email, {
+      to: ["a@example.org", "b@example.org"]
+    });
+  });
+
+  test("rejects targets that cannot be delivered", () => {
+    assert.throws(() => normalizeNotifyTargets("https://example.org"), /must be an object/);
+    assert.throws(() => normalizeNotifyTargets({}), /needs a webhookUrl or an email/);
+    assert.throws(() => normalizeNotifyTargets({ webhookUrl: "ftp://example.org", webhookSecret: "s" }), /http or https/);
+    assert.throws(() => normalizeNotifyTargets({ webhookUrl: "https://example.org" }), /send webhookSecret or set WEBHOOK_SECRET/);
+    assert.throws(() => normalizeNotifyTargets({ email: "nobody" }, { smtpConfigured: true }), /Invalid email address "nobody"/);
+    assert.throws(() => normalizeNotifyTargets({ email: "a@example.org" }), /SMTP_HOST is not configured/);
+  });
+
+  test("refuses webhooks to internal addresses unless their host is allowed", () => {
+    const options = { defaultSecret: "server" };
+    for (const url of [
+      "http://127.0.0.1:8080/hook",
+      "http://localhost/hook",
+      "http://169.254.169.254/latest/meta-data/",
+      "http://10.0.0.5/hook",
+      "http://192.168.1.20/hook",
+      "http://[::1]/hook",
+      "http://[::ffff:127.0.0.1]/hook"
+    ]) {
+      assert.throws(() => normalizeNotifyTargets({ webhookUrl: url }, options), /loopback, private or link-local/, url);
+    }
+    assert.ok(normalizeNotifyTargets({ webhookUrl: "http://93.184.216.34/hook" }, options).webhook);
+
+    const allowed = { ...options, allowedHosts: ["hooks.internal", "127.0.0.1"] };
+    assert.ok(normalizeNotifyTargets({ webhookUrl: "http://127.0.0.1:8080/hook" }, allowed).webhook);
+    assert.throws(() => normalizeNotifyTargets({ webhookUrl: "https://example.org/hook" }, allowed), /not one of the allowed webhook hosts/);
+  });
+
+  test("tells public from internal addresses", () => {
+    for (const address of ["8.8.8.8", "93.184.216.34", "2606:4700::1111", "::ffff:8.8.8.8"]) {
+      assert.equal(isPublicAddress(address), true, address);
+    }
+    for (const address of ["127.0.0.1", "10.1.2.3", "172.20.0.1", "100.64.0.1", "0.0.0.0", "::1", "fe80::1", "fd00::1", "::ffff:7f00:1"]) {
+      assert.equal(isPublicAddress(address), false, address);
+    }
+  });
+});
+
+describe("createNotifier", () => {
+  test("signs webhook bodies and retries failed deliveries", async () => {
+    const received = [];
+    const server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => {
+        body += chunk;
+      });
+      req.on("end", () => {
+        received.push({ headers: req.headers, body });
+        // The first attempt fails
+        res.writeHead(received.length === 1 ? 503 : 200).end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+    try {
+      // The test server is on loopback, which only an allowed host may be
+      const notifier = createNotifier({ maxAttempts: 3, retryDelayMs: 10, allowedHosts: ["127.0.0.1"] });
+      const targets = normalizeNotifyTargets(
+        { webhookUrl: `http://127.0.0.1:${server.address().port}/hook`, webhookSecret: "hook-secret" },
+        { allowedHosts: ["127.0.0.1"] }
+      );
+      const attempts = [];
+      const payload = { event: "job.completed", deliveryId: "delivery-1", jobId: "job_1", status: "completed" };
+
+      assert.deepEqual(await notifier.send(targets, payload, (entry) => attempts.push(entry)), [true]);
+      assert.deepEqual(attempts.map((entry) => [entry.attempt, entry.ok, entry.ok ? entry.result : entry.error]), [
+        [1, false, "HTTP 503"],
+        [2, true, "HTTP 200"]
+      ]);
+      const { headers, body } = received[1];
+      assert.deepEqual(JSON.parse(body), payload);
+      assert.equal(headers["x-fir-event"], "job.completed");
+      assert.equal(headers["x-fir-signature"], `sha256=${signPayload(body, "hook-secret")}`);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  test("does not deliver to hosts that resolve to internal addresses", async () => {
+    const notifier = createNotifier({ maxAttempts: 3, retryDelayMs: 10 });
+    const attempts = [];
+    // As if the host had resolved to a public address when it was validated
+    const targets = { webhook: { url: "http://localhost:9/hook", secret: "hook-secret" }, email: null };
+
+    assert.deepEqual(await notifier.send(targets, { event: "job.failed", deliveryId: "delivery-2" }, (entry) => attempts.push(entry)), [false]);
+    assert.equal(attempts.length, 1);
+    assert.match(attempts[0].error, /resolves to 127\.0\.0\.1/);
+  });
+});
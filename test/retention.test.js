@@ -0,0 +1,37 @@
+// test/retention.test.js
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { MAX_TIMER_DELAY_MS, parseRetentionHours, nextTimerDelayMs, extendRetentionMinutes } = require("../lib/retention");
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = new Date("2025-01-10T10:00:00Z").getTime();
+
+describe("retention", () => {
+  test("parses retentionHours up to the maximum", () => {
+    assert.equal(parseRetentionHours(undefined, 2160), null);
+    assert.equal(parseRetentionHours("", 2160), null);
+    assert.equal(parseRetentionHours("48", 2160), 48);
+    assert.equal(parseRetentionHours(0.5, 2160), 0.5);
+    assert.equal(parseRetentionHours(2160, 2160), 2160);
+    for (const value of [0, -1, "soon", 2161, Infinity]) {
+      assert.throws(() => parseRetentionHours(value, 2160), /above 0 and up to 2160/, String(value));
+    }
+  });
+
+  test("waits in steps setTimeout can hold", () => {
+    assert.equal(nextTimerDelayMs(new Date(now + HOUR_MS), now), HOUR_MS);
+    assert.equal(nextTimerDelayMs(new Date(now - HOUR_MS), now), 0);
+    // 90 days is far beyond the 24.8 days of the longest timer
+    assert.equal(nextTimerDelayMs(new Date(now + 2160 * HOUR_MS), now), MAX_TIMER_DELAY_MS);
+    assert.equal(nextTimerDelayMs(new Date(now + 2160 * HOUR_MS).toISOString(), now), MAX_TIMER_DELAY_MS);
+  });
+
+  test("extends a retention up to the maximum from now", () => {
+    assert.equal(extendRetentionMinutes(new Date(now + HOUR_MS), 60, 2160, now), 120);
+    // Expired jobs start over from now
+    assert.equal(extendRetentionMinutes(new Date(now - HOUR_MS), 60, 2160, now), 60);
+    assert.equal(extendRetentionMinutes(new Date(now + 2159 * HOUR_MS), 60, 2160, now), 2160 * 60);
+    assert.throws(() => extendRetentionMinutes(new Date(now + 2159 * HOUR_MS), 61, 2160, now), /at most 2160 hours from now; this job has 129540 minutes left/);
+  });
+});
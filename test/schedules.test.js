@@ -0,0 +1,88 @@
+// test/schedules.test.js
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCron, cronIntervalMinutes, nextCronRun, resolveRelativeRange } = require("../lib/schedules");
+
+// Times are written in Asia/Kolkata (+05:30), where schedules run
+const ist = (text) => new Date(`${text}+05:30`);
+
+describe("parseCron", () => {
+  test("expands lists, ranges, steps and shortcuts", () => {
+    const cron = parseCron("0,30 */6 1-10/3 * 1-5");
+    assert.deepEqual([...cron.minutes], [0, 30]);
+    assert.deepEqual([...cron.hours], [0, 6, 12, 18]);
+    assert.deepEqual([...cron.daysOfMonth], [1, 4, 7, 10]);
+    assert.equal(cron.months.size, 12);
+    assert.deepEqual([...cron.daysOfWeek], [1, 2, 3, 4, 5]);
+    assert.deepEqual([...parseCron("@daily").hours], [0]);
+    // 7 is Sunday too
+    assert.ok(parseCron("0 0 * * 7").daysOfWeek.has(0));
+  });
+
+  test("rejects malformed expressions", () => {
+    assert.throws(() => parseCron("0 0 * *"), /needs 5 fields/);
+    assert.throws(() => parseCron("60 * * * *"), /minute "60"/);
+    assert.throws(() => parseCron("0 5-1 * * *"), /hour "5-1"/);
+    assert.throws(() => parseCron("0 0 * * mon"), /Invalid cron day of week "mon"/);
+    assert.throws(() => parseCron("*/0 * * * *"), /minute "\*\/0"/);
+  });
+});
+
+describe("cronIntervalMinutes", () => {
+  test("finds the shortest gap between runs", () => {
+    assert.equal(cronIntervalMinutes("* * * * *"), 1);
+    assert.equal(cronIntervalMinutes("*/15 * * * *"), 15);
+    assert.equal(cronIntervalMinutes("0 */6 * * 1-5"), 360);
+    assert.equal(cronIntervalMinutes("@daily"), 24 * 60);
+    // 23:10 and 00:10 the next day
+    assert.equal(cronIntervalMinutes("10 0,23 * * *"), 60);
+  });
+});
+
+describe("nextCronRun", () => {
+  test("finds the next matching minute in Asia/Kolkata", () => {
+    assert.deepEqual(nextCronRun("30 6 * * *", ist("2025-01-10T06:00:00")), ist("2025-01-10T06:30:00"));
+    // Strictly after: a run at 06:30 is next due tomorrow
+    assert.deepEqual(nextCronRun("30 6 * * *", ist("2025-01-10T06:30:00")), ist("2025-01-11T06:30:00"));
+    // 2025-01-10 is a Friday
+    assert.deepEqual(nextCronRun("0 7 * * 1", ist("2025-01-10T12:00:00")), ist("2025-01-13T07:00:00"));
+    assert.deepEqual(nextCronRun("@monthly", ist("2025-12-15T00:00:00")), ist("2026-01-01T00:00:00"));
+  });
+
+  test("matches either restricted day field, as cron does", () => {
+    // The 15th, or any Monday
+    assert.deepEqual(nextCronRun("0 0 15 * 1", ist("2025-01-10T12:00:00")), ist("2025-01-13T00:00:00"));
+    assert.deepEqual(nextCronRun("0 0 15 * 1", ist("2025-01-13T12:00:00")), ist("2025-01-15T00:00:00"));
+  });
+
+  test("reaches 29 February and gives up on 31 February", () => {
+    assert.deepEqual(nextCronRun("0 0 29 2 *", ist("2025-03-01T00:00:00")), ist("2028-02-29T00:00:00"));
+    assert.equal(nextCronRun("0 0 31 2 *", ist("2025-03-01T00:00:00")), null);
+  });
+});
+
+describe("resolveRelativeRange", () => {
+  // A Monday afternoon in Asia/Kolkata, still Monday morning in UTC
+  const now = ist("2025-03-10T15:00:00");
+
+  test("resolves ranges relative to the day of the run", () => {
+    assert.deepEqual(resolveRelativeRange("today", now), { fromDate: "10/03/2025", toDate: "10/03/2025" });
+    assert.deepEqual(resolveRelativeRange("yesterday", now), { fromDate: "09/03/2025", toDate: "09/03/2025" });
+    assert.deepEqual(resolveRelativeRange("last 7 days", now), { fromDate: "03/03/2025", toDate: "09/03/2025" });
+    assert.deepEqual(resolveRelativeRange("Last-1-Day", now), { fromDate: "09/03/2025", toDate: "09/03/2025" });
+    assert.deepEqual(resolveRelativeRange("this month", now), { fromDate: "01/03/2025", toDate: "10/03/2025" });
+    assert.deepEqual(resolveRelativeRange("last_month", now), { fromDate: "01/02/2025", toDate: "28/02/2025" });
+  });
+
+  test("uses the Asia/Kolkata date near midnight", () => {
+    // 00:30 on the 11th in Kolkata is still the 10th in UTC
+    assert.deepEqual(resolveRelativeRange("today", ist("2025-03-11T00:30:00")), { fromDate: "11/03/2025", toDate: "11/03/2025" });
+  });
+
+  test("rejects unknown and oversized ranges", () => {
+    assert.throws(() => resolveRelativeRange("fortnight", now), /Unknown date range/);
+    assert.throws(() => resolveRelativeRange("last 0 days", now), /between 1 and 366 days/);
+    assert.throws(() => resolveRelativeRange("last 400 days", now), /between 1 and 366 days/);
+  });
+});
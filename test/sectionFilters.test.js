@@ -0,0 +1,83 @@
+// test/sectionFilters.test.js
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { compileSectionFilter, listSectionPresets } = require("../lib/sectionFilters");
+
+const ANIMAL_ACT = "प्राण्यांचा छळ प्रतिबंधक अधिनियम, १९६०";
+const IPC = "भारतीय दंड संहिता, १८६०";
+
+describe("compileSectionFilter", () => {
+  test("uses the animal protection preset by default", () => {
+    const filter = compileSectionFilter();
+    assert.equal(filter.name, "animal-protection");
+    // The preset spells the act with a zero-width joiner (U+200D) after "ण्"; rows
+    // match whether or not the portal writes it
+    assert.ok(filter.match("प्राण्\u200Dयांचा छळ प्रतिबंधक अधिनियम, १९६०", "11(1)"));
+    assert.ok(filter.match(ANIMAL_ACT, "11(1)"));
+    assert.equal(filter.match(IPC, "379"), null);
+  });
+
+  test("matches section rules against the act's own sections", () => {
+    const cruelty = compileSectionFilter("cruelty");
+    assert.equal(cruelty.match(IPC, "429"), "section: IPC 429");
+    assert.equal(cruelty.match(IPC, "४२९, ३४"), "section: IPC 429");
+    assert.equal(cruelty.match("भारतीय न्याय संहिता (बीएनएस), २०२३", "325"), "section: BNS 325");
+    assert.equal(cruelty.match(IPC, "4290"), null);
+    assert.equal(cruelty.match("", "429"), null);
+  });
+
+  test("pairs each act with the sections on the same line", () => {
+    const filter = compileSectionFilter({ sections: ["IPC 429"] });
+    assert.ok(filter.match(`${ANIMAL_ACT}\n${IPC}`, "11\n429, 34"));
+    // 429 belongs to the animal act here, not to the IPC
+    assert.equal(filter.match(`${ANIMAL_ACT}\n${IPC}`, "429\n379"), null);
+    // Without one line per act the sections are checked after all acts
+    assert.ok(filter.match(`${ANIMAL_ACT}\n${IPC}`, "11, 429"));
+  });
+
+  test("combines any, all and none rules", () => {
+    const filter = compileSectionFilter({
+      name: "Stray Dogs!",
+      any: ["dog", { regex: "cattle|cow" }],
+      all: [{ keyword: "Pune" }],
+      none: [{ section: "IPC 379" }]
+    });
+    assert.equal(filter.name, "stray-dogs");
+    assert.equal(filter.match("Pune dog squad", ""), "keyword: dog");
+    assert.equal(filter.match("PUNE COW shelter", ""), "regex: /cattle|cow/");
+    assert.equal(filter.match("Mumbai dog squad", ""), null);
+    assert.equal(filter.match(`Pune dog ${IPC}`, "379"), null);
+  });
+
+  test("names the preset that matched in a list of filters", () => {
+    const filter = compileSectionFilter(["wildlife", "cruelty"]);
+    assert.equal(filter.name, "wildlife+cruelty");
+    assert.equal(filter.match(IPC, "428"), "cruelty / section: IPC 428");
+    assert.equal(filter.match("Indian Forest Act", "26"), "wildlife / keyword: Indian Forest Act");
+  });
+
+  test("refuses regex rules unless they are allowed", () => {
+    const spec = { any: ["dog", { regex: "cattle|cow" }] };
+    assert.throws(() => compileSectionFilter(spec, { allowRegex: false }), /only available to admins/);
+    assert.throws(() => compileSectionFilter([{ none: [{ regex: "x" }], any: ["dog"] }], { allowRegex: false }), /only available to admins/);
+    assert.ok(compileSectionFilter({ any: ["dog"], sections: ["IPC 429"] }, { allowRegex: false }));
+    assert.ok(compileSectionFilter("cruelty", { allowRegex: false }));
+    assert.equal(compileSectionFilter(spec).match("cow shelter", ""), "regex: /cattle|cow/");
+  });
+
+  test("rejects invalid filters", () => {
+    assert.throws(() => compileSectionFilter("poaching"), /Unknown section preset/);
+    assert.throws(() => compileSectionFilter({ sections: ["429"] }), /Invalid section/);
+    assert.throws(() => compileSectionFilter({ sections: ["XYZ 1"] }), /Unknown act/);
+    assert.throws(() => compileSectionFilter({ any: [{ regex: "(" }] }), /Invalid regex/);
+    assert.throws(() => compileSectionFilter({ none: ["dog"] }), /needs at least one/);
+    assert.throws(() => compileSectionFilter([]), /must not be empty/);
+  });
+
+  test("lists the presets with their rules", () => {
+    const presets = listSectionPresets();
+    assert.deepEqual(presets.filter((preset) => preset.default).map((preset) => preset.name), ["animal-protection"]);
+    assert.deepEqual(presets.find((preset) => preset.name === "cruelty").rules, ["IPC 428", "IPC 429", "BNS 325"]);
+  });
+});